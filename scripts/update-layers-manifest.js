@@ -0,0 +1,38 @@
+// Regenerates src/layers.json, the layers manifest bundled with the plugin,
+// from the latest published versions of the Lumigo tracer layers.
+const _ = require("lodash");
+const http = require("axios");
+const fs = require("fs-extra");
+const path = require("path");
+const { LayerSources, parseLayerArns } = require("../src/layers");
+
+const manifestPath = path.join(__dirname, "..", "src", "layers.json");
+
+const updateLayersManifest = async () => {
+	const manifest = { layers: {} };
+	for (const [runtimeFamily, source] of Object.entries(LayerSources)) {
+		const resp = await http.get(source.url);
+		const layerArns = parseLayerArns(resp.data, source.layerName);
+		if (_.isEmpty(layerArns)) {
+			throw new Error(
+				`unable to find any ${source.layerName} layer in ${source.url}`
+			);
+		}
+		for (const [region, layerArn] of Object.entries(layerArns)) {
+			for (const architecture of source.architectures) {
+				_.set(
+					manifest,
+					["layers", region, runtimeFamily, architecture],
+					layerArn
+				);
+			}
+		}
+	}
+	await fs.writeJson(manifestPath, manifest, { spaces: 2 });
+	console.log(`updated ${manifestPath}`);
+};
+
+updateLayersManifest().catch(e => {
+	console.error(e);
+	process.exit(1);
+});
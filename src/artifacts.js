@@ -0,0 +1,58 @@
+const EndOfCentralDirectorySignature = 0x06054b50;
+const CentralDirectoryHeaderSignature = 0x02014b50;
+const EndOfCentralDirectorySize = 22;
+const CentralDirectoryHeaderSize = 46;
+const MaxCommentSize = 0xffff;
+
+// the end of central directory record is last, followed by an optional comment
+const findEndOfCentralDirectory = zip => {
+	const lowestOffset = Math.max(
+		0,
+		zip.length - EndOfCentralDirectorySize - MaxCommentSize
+	);
+	for (
+		let offset = zip.length - EndOfCentralDirectorySize;
+		offset >= lowestOffset;
+		offset--
+	) {
+		if (zip.readUInt32LE(offset) === EndOfCentralDirectorySignature) {
+			return offset;
+		}
+	}
+	return -1;
+};
+
+// the total size of the files in a zip archive, as listed in its central
+// directory, or null if the buffer is not a zip archive (ZIP64 is not supported)
+const getUnzippedSize = zip => {
+	if (zip.length < EndOfCentralDirectorySize) {
+		return null;
+	}
+	const endOffset = findEndOfCentralDirectory(zip);
+	if (endOffset < 0) {
+		return null;
+	}
+
+	const entries = zip.readUInt16LE(endOffset + 10);
+	let offset = zip.readUInt32LE(endOffset + 16);
+	let size = 0;
+	for (let i = 0; i < entries; i++) {
+		if (
+			offset + CentralDirectoryHeaderSize > endOffset ||
+			zip.readUInt32LE(offset) !== CentralDirectoryHeaderSignature
+		) {
+			return null;
+		}
+		size += zip.readUInt32LE(offset + 24);
+		offset +=
+			CentralDirectoryHeaderSize +
+			zip.readUInt16LE(offset + 28) +
+			zip.readUInt16LE(offset + 30) +
+			zip.readUInt16LE(offset + 32);
+	}
+	return size;
+};
+
+module.exports = {
+	getUnzippedSize
+};
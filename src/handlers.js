@@ -0,0 +1,59 @@
+const _ = require("lodash");
+
+const NodeModuleFileExtensions = ["js", "mjs", "cjs", "ts"];
+
+// the files that Lambda, or the wrappers, could load a handler's module from,
+// relative to the service, e.g.
+// functions/hello.world (nodejs) -> functions/hello.js, functions/hello/index.js...
+// functions/hello.world (python) -> functions/hello.py, functions/hello/__init__.py
+const getHandlerModuleCandidates = (handler, runtimeFamily, nodeModuleFileExtension) => {
+	const modulePath = handler.substr(0, handler.lastIndexOf("."));
+	if (runtimeFamily === "python") {
+		const pythonPath = modulePath.split(".").join("/");
+		return [`${pythonPath}.py`, `${pythonPath}/__init__.py`];
+	}
+
+	const extensions = _.uniq([nodeModuleFileExtension, ...NodeModuleFileExtensions]);
+	return [
+		...extensions.map(ext => `${modulePath}.${ext}`),
+		...extensions.map(ext => `${modulePath}/index.${ext}`)
+	];
+};
+
+// the ways a CommonJS, ES or TypeScript module can export a function, e.g.
+// module.exports.handler = ..., export const handler = ..., export { x as handler }
+const nodeExportPatterns = name => [
+	`\\bexports\\.${name}\\s*=`,
+	`\\bexports\\[\\s*["'\`]${name}["'\`]\\s*\\]\\s*=`,
+	`\\bexport\\s+(default\\s+)?(async\\s+)?function\\s*\\*?\\s*${name}\\b`,
+	`\\bexport\\s+(const|let|var|class)\\s+${name}\\b`,
+	`\\bexport\\s*\\{[^}]*\\b${name}\\b[^}]*\\}`,
+	// objects may nest, so the name only has to follow the assignment
+	`\\b(module\\.exports|export)\\s*=\\s*\\{[\\s\\S]*\\b${name}\\b`,
+	`\\bObject\\.assign\\(\\s*(module\\.)?exports\\s*,[\\s\\S]*\\b${name}\\b`,
+	// re-exports and computed exports can't be told apart from the source
+	"\\bexport\\s*\\*\\s*from\\b",
+	"\\bmodule\\.exports\\s*=\\s*require\\s*\\("
+];
+
+// a def, an assignment or an import of the name in the module, including
+// under a try or an if
+const pythonExportPatterns = name => [
+	`^\\s*(async\\s+)?def\\s+${name}\\s*\\(`,
+	`^\\s*${name}\\s*(:[^=\\n]*)?=`,
+	`^\\s*(from\\s+\\S+\\s+)?import\\s+[^\\n]*\\b${name}\\b`
+];
+
+const hasHandlerExport = (source, name, runtimeFamily) => {
+	const escapedName = _.escapeRegExp(name);
+	const patterns =
+		runtimeFamily === "python"
+			? pythonExportPatterns(escapedName)
+			: nodeExportPatterns(escapedName);
+	return patterns.some(pattern => new RegExp(pattern, "m").test(source));
+};
+
+module.exports = {
+	getHandlerModuleCandidates,
+	hasHandlerExport
+};
@@ -4,11 +4,96 @@ const fs = require("fs-extra");
 const BbPromise = require("bluebird");
 const childProcess = BbPromise.promisifyAll(require("child_process"));
 const path = require("path");
+const { LumigoAccountId, LayerSources, parseLayerArns } = require("./layers");
+const { getUnzippedSize } = require("./artifacts");
+const { getHandlerModuleCandidates, hasHandlerExport } = require("./handlers");
+const { parseTsconfig, getCompiledModulePath } = require("./typescript");
+const LayersManifest = require("./layers.json");
 
-const nodeLayerVersionsUrl =
-	"https://raw.githubusercontent.com/lumigo-io/lumigo-node/master/layers/LAYERS12x.md";
-const pythonLayerVersionsUrl =
-	"https://raw.githubusercontent.com/lumigo-io/python_tracer/master/layers/LAYERS37.md";
+const LockFileName = "lumigo.lock.json";
+
+// the temporary folder of the wrappers and the Node.js tracer
+const LumigoFolder = "_lumigo";
+
+// what a run changed in the working tree, until it cleans up after itself
+const StateFileName = path.join(".serverless", "lumigo-state.json");
+
+// the most layers a Lambda function can have
+const MaxLayers = 5;
+
+// the configuration of the Yarn 2+ project in _lumigo: the wrappers resolve
+// the tracer from node_modules, and the lock file is written even in CI
+const YarnBerryConfiguration = `nodeLinker: node-modules
+enableImmutableInstalls: false
+`;
+
+// the wrapper script of the tracer layers, for AWS_LAMBDA_EXEC_WRAPPER
+const LumigoExecWrapper = "/opt/lumigo_wrapper";
+
+const LayerResolutions = {
+	// from the lock file if it has the layer, or else the latest published version
+	Auto: "auto",
+	Lock: "lock",
+	Manifest: "manifest"
+};
+
+// the handlers of the tracer that load the original handler from
+// LUMIGO_ORIGINAL_HANDLER, per runtime family
+const AutoInstrumentHandlers = {
+	nodejs: "lumigo-auto-instrument.handler",
+	python: "/opt/python/lumigo_tracer._handler"
+};
+
+// the layers, and the entry points that other observability vendors set as the
+// handler or the exec wrapper. The names of the layers vary by runtime and
+// version, but the entry points are fixed, and a handler of the service may be
+// named after a vendor, e.g. handlers/datadogForwarder.handler
+const ObservabilityVendors = {
+	Datadog: {
+		layer: /datadog/i,
+		handlers: [
+			"datadog_lambda.handler.handler",
+			"node_modules/datadog-lambda-js/handler.handler",
+			"node_modules/datadog-lambda-js/dist/handler.handler"
+		],
+		execWrappers: ["/opt/datadog_wrapper"]
+	},
+	"New Relic": {
+		layer: /newrelic|new-relic/i,
+		handlers: [
+			"newrelic_lambda_wrapper.handler",
+			"newrelic-lambda-wrapper.handler",
+			"node_modules/newrelic-esm-lambda-wrapper/index.handler"
+		],
+		execWrappers: []
+	},
+	Thundra: {
+		layer: /thundra/i,
+		handlers: [
+			"thundra.handler.wrapper",
+			"node_modules/@thundra/core/dist/handler.wrapper"
+		],
+		execWrappers: ["/opt/thundra_wrapper"]
+	},
+	Epsagon: {
+		layer: /epsagon/i,
+		handlers: ["epsagon.wrapper", "node_modules/epsagon/src/handler.handler"],
+		execWrappers: []
+	}
+};
+
+// the Node.js entry points are in node_modules, either in the vendor's layer,
+// e.g. /opt/nodejs/node_modules/..., or in the bundle of the function
+const isVendorHandler = (handler, entryPoints) =>
+	entryPoints.some(
+		entryPoint => handler === entryPoint || handler.endsWith(`/${entryPoint}`)
+	);
+
+const ConflictResolutions = {
+	Warn: "warn",
+	Error: "error",
+	Skip: "skip"
+};
 
 const NodePackageManagers = {
 	NPM: "npm",
@@ -16,9 +101,320 @@ const NodePackageManagers = {
 	PNPM: "pnpm"
 };
 
-const LayerArns = {
-	node: null,
-	python: null
+// resolved layer ARNs, keyed by region, runtime family and architecture
+const LayerArns = {};
+
+const NodeLockFiles = {
+	"pnpm-lock.yaml": NodePackageManagers.PNPM,
+	"yarn.lock": NodePackageManagers.Yarn,
+	"package-lock.json": NodePackageManagers.NPM,
+	"npm-shrinkwrap.json": NodePackageManagers.NPM
+};
+
+const LayerVersionSchema = {
+	anyOf: [
+		{ type: "integer", minimum: 1 },
+		{ type: "string", pattern: "^[1-9][0-9]*$" }
+	]
+};
+
+const PatternsSchema = { type: "array", items: { type: "string" } };
+
+// the plugin options that both custom.lumigo and the functions can set
+const PluginOptionsSchema = {
+	tokenSsmParameter: { type: "string" },
+	tokenSecretArn: { type: "string", pattern: "^arn:" },
+	useLayers: { type: "boolean" },
+	useExecWrapper: { type: "boolean" },
+	nodeLayerVersion: LayerVersionSchema,
+	pythonLayerVersion: LayerVersionSchema,
+	layerResolution: { enum: Object.values(LayerResolutions) },
+	rewriteImageCommand: { type: "boolean" },
+	autoStepFunction: { type: "boolean" },
+	onConflict: { enum: Object.values(ConflictResolutions) },
+	maxUnzippedSizeMB: { type: "number", exclusiveMinimum: 0 },
+	skipHandlerCheck: { type: "boolean" },
+	bundleWithEsbuild: { type: "boolean" }
+};
+
+// the plugin options that only custom.lumigo can set, e.g. because all the
+// functions share the tracer installation or the format of the wrappers
+const ServiceOptionsSchema = {
+	pinVersion: { type: "string", pattern: "^\\d+\\.\\d+\\.\\d+(-[0-9A-Za-z.-]+)?$" },
+	skipInstallNodeTracer: { type: "boolean" },
+	skipReqCheck: { type: "boolean" },
+	nodePackageManager: {
+		enum: _.flatMap(Object.values(NodePackageManagers), packageManager => [
+			packageManager,
+			packageManager.toUpperCase()
+		])
+	},
+	nodeWorkspacePackage: { type: "string" },
+	nodeUseESModule: { type: "boolean" },
+	nodeModuleFileExtension: { enum: ["js", "mjs", "cjs"] },
+	cloudFormationFunctions: {
+		anyOf: [
+			{ type: "boolean" },
+			{
+				type: "object",
+				properties: { include: PatternsSchema, exclude: PatternsSchema },
+				additionalProperties: false
+			}
+		]
+	},
+	stages: PatternsSchema,
+	excludeStages: PatternsSchema,
+	includeFunctions: PatternsSchema,
+	excludeFunctions: PatternsSchema
+};
+
+// keys of the lumigo configuration that are consumed by the plugin itself
+// and are therefore not passed on to the tracer
+const PluginOptions = [
+	"enabled",
+	...Object.keys(PluginOptionsSchema),
+	...Object.keys(ServiceOptionsSchema)
+];
+
+// the environment variables that configure the tracer layers, per tracer option
+const TracerEnvironmentVariables = {
+	step_function: "LUMIGO_STEP_FUNCTION",
+	stepFunction: "LUMIGO_STEP_FUNCTION",
+	maxSizeForRequest: "LUMIGO_MAX_SIZE_FOR_REQUEST",
+	maxSizeForRequestOnError: "LUMIGO_MAX_SIZE_FOR_REQUEST_ON_ERROR",
+	edgeHost: "LUMIGO_TRACER_HOST",
+	debug: "LUMIGO_DEBUG",
+	switchOff: "LUMIGO_SWITCH_OFF",
+	enhance_print: "LUMIGO_ENHANCED_PRINT",
+	secretMaskingRegex: "LUMIGO_SECRET_MASKING_REGEX",
+	secretMaskingRegexHttpRequestBodies:
+		"LUMIGO_SECRET_MASKING_REGEX_HTTP_REQUEST_BODIES",
+	secretMaskingRegexHttpRequestHeaders:
+		"LUMIGO_SECRET_MASKING_REGEX_HTTP_REQUEST_HEADERS",
+	secretMaskingRegexHttpResponseBodies:
+		"LUMIGO_SECRET_MASKING_REGEX_HTTP_RESPONSE_BODIES",
+	secretMaskingRegexHttpResponseHeaders:
+		"LUMIGO_SECRET_MASKING_REGEX_HTTP_RESPONSE_HEADERS",
+	secretMaskingRegexHttpQueryParams: "LUMIGO_SECRET_MASKING_REGEX_HTTP_QUERY_PARAMS",
+	secretMaskingRegexEnvironment: "LUMIGO_SECRET_MASKING_REGEX_ENVIRONMENT",
+	domainsScrubber: "LUMIGO_DOMAINS_SCRUBBER"
+};
+
+// the plugins whose changes to the working tree are not cleaned up yet
+const PendingCleanups = new Set();
+let areCleanupHandlersRegistered = false;
+
+const cleanUpPendingChanges = () =>
+	PendingCleanups.forEach(plugin => plugin.undoChangesSync());
+
+const cleanUpAndRethrowSignal = signal => {
+	cleanUpPendingChanges();
+	process.removeListener(signal, cleanUpAndRethrowSignal);
+	// let the default handler of the signal terminate the process
+	process.kill(process.pid, signal);
+};
+
+// undo the changes when packaging or deployment fails, or is interrupted,
+// before afterCreateDeploymentArtifacts gets to clean up
+const registerPendingCleanup = plugin => {
+	if (!areCleanupHandlersRegistered) {
+		process.on("exit", cleanUpPendingChanges);
+		process.on("SIGINT", cleanUpAndRethrowSignal);
+		process.on("SIGTERM", cleanUpAndRethrowSignal);
+		areCleanupHandlersRegistered = true;
+	}
+	PendingCleanups.add(plugin);
+};
+
+// functions deployed as container images can neither be wrapped nor have layers
+const isImageFunction = func => Boolean(func.image);
+
+// e.g. matchesPattern("CustomResourceHandler", "Custom*") -> true
+const matchesPattern = (value, pattern) =>
+	new RegExp(
+		`^${pattern
+			.split("*")
+			.map(_.escapeRegExp)
+			.join(".*")}$`
+	).test(value);
+
+// the AWS::Lambda::Function resources that can have the layers
+const isSupportedCloudFormationFunction = resource => {
+	const properties = resource.Properties || {};
+	return (
+		properties.PackageType !== "Image" &&
+		_.isString(properties.Runtime) &&
+		Boolean(getRuntimeFamily(properties.Runtime))
+	);
+};
+
+// the secret and the key of a JSON secret, in the syntax of the dynamic
+// references, e.g. arn:...:secret:lumigo-token:SecretString:token
+const parseSecretReference = reference => {
+	const [secretId, jsonKey] = reference.split(":SecretString:");
+	return { secretId, jsonKey: jsonKey && jsonKey.split(":")[0] };
+};
+
+// the types of the tracer options, other keys are ignored with a warning. The
+// tracers name some options differently, e.g. stepFunction in Node.js and
+// step_function in Python, and both names are accepted
+const TracerOptions = {
+	token: ["string"],
+	debug: ["boolean"],
+	edgeHost: ["string"],
+	switchOff: ["boolean"],
+	step_function: ["boolean"],
+	stepFunction: ["boolean"],
+	maxSizeForRequest: ["number"],
+	maxSizeForRequestOnError: ["number"],
+	enhance_print: ["boolean"],
+	verbose: ["boolean"],
+	eventFilter: ["object"],
+	should_report: ["boolean"],
+	timeout_timer: ["boolean"],
+	timeout_timer_buffer: ["number"],
+	max_entry_size: ["number"],
+	secretMaskingRegex: ["array", "string"],
+	secretMaskingRegexHttpRequestBodies: ["array", "string"],
+	secretMaskingRegexHttpRequestHeaders: ["array", "string"],
+	secretMaskingRegexHttpResponseBodies: ["array", "string"],
+	secretMaskingRegexHttpResponseHeaders: ["array", "string"],
+	secretMaskingRegexHttpQueryParams: ["array", "string"],
+	secretMaskingRegexEnvironment: ["array", "string"],
+	domainsScrubber: ["array", "string"]
+};
+
+const TracerOptionTypeNames = {
+	boolean: "a boolean",
+	number: "a number",
+	string: "a string",
+	array: "a list",
+	object: "a map"
+};
+
+// booleans and numbers may also be strings, see coerceTracerOption
+const TracerOptionTypeSchemas = {
+	boolean: [
+		{ type: "boolean" },
+		{ type: "string", pattern: "^\\s*([tT][rR][uU][eE]|[fF][aA][lL][sS][eE])\\s*$" }
+	],
+	number: [
+		{ type: "number" },
+		{ type: "string", pattern: "^\\s*-?[0-9]+(\\.[0-9]+)?\\s*$" }
+	],
+	string: [{ type: "string" }, { type: "number" }],
+	array: [{ type: "array" }],
+	object: [{ type: "object" }]
+};
+
+const TracerOptionsSchema = _.mapValues(TracerOptions, types => ({
+	anyOf: _.flatMap(types, type => TracerOptionTypeSchemas[type])
+}));
+
+// the tracers only read these options from the environment, also when wrapped
+const EnvironmentOnlyTracerOptions = [
+	"secretMaskingRegex",
+	"secretMaskingRegexHttpRequestBodies",
+	"secretMaskingRegexHttpRequestHeaders",
+	"secretMaskingRegexHttpResponseBodies",
+	"secretMaskingRegexHttpResponseHeaders",
+	"secretMaskingRegexHttpQueryParams",
+	"secretMaskingRegexEnvironment",
+	"domainsScrubber"
+];
+
+// the syntax of the tracer parameters in the wrappers
+const WrapperLanguages = {
+	nodejs: {
+		equalityToken: ":",
+		true: "true",
+		false: "false",
+		null: "null",
+		tokenFromEnvironment: "process.env.LUMIGO_TRACER_TOKEN",
+		// the names of the options in the Node.js tracer
+		optionNames: { step_function: "stepFunction" },
+		unsupportedOptions: []
+	},
+	python: {
+		equalityToken: "=",
+		true: "True",
+		false: "False",
+		null: "None",
+		tokenFromEnvironment: 'os.environ.get("LUMIGO_TRACER_TOKEN")',
+		optionNames: { stepFunction: "step_function" },
+		// the options of the Node.js tracer, which lumigo_tracer would reject
+		unsupportedOptions: ["maxSizeForRequest", "maxSizeForRequestOnError"]
+	}
+};
+
+// a single-quoted string, valid in both JavaScript and Python, e.g.
+// it's -> 'it\'s', with line breaks and control characters escaped as \uXXXX
+const toStringLiteral = value => {
+	const escaped = value
+		.split("")
+		.map(char => {
+			const code = char.charCodeAt(0);
+			if (char === "\\" || char === "'") {
+				return `\\${char}`;
+			} else if (
+				code < 0x20 ||
+				code === 0x7f ||
+				code === 0x2028 ||
+				code === 0x2029
+			) {
+				return `\\u${code.toString(16).padStart(4, "0")}`;
+			}
+			return char;
+		})
+		.join("");
+	return `'${escaped}'`;
+};
+
+const toLiteral = (value, language) => {
+	if (_.isString(value)) {
+		return toStringLiteral(value);
+	} else if (_.isBoolean(value)) {
+		return value ? language.true : language.false;
+	} else if (_.isFinite(value)) {
+		return String(value);
+	} else if (Array.isArray(value)) {
+		return `[${value.map(item => toLiteral(item, language)).join(",")}]`;
+	} else if (_.isPlainObject(value)) {
+		const entries = Object.entries(value).map(
+			([key, item]) => `${toStringLiteral(key)}:${toLiteral(item, language)}`
+		);
+		return `{${entries.join(",")}}`;
+	}
+	return language.null;
+};
+
+const getRuntimeFamily = runtime => {
+	if (!runtime) {
+		return null;
+	} else if (runtime.startsWith("nodejs")) {
+		return "nodejs";
+	} else if (runtime.startsWith("python3")) {
+		return "python";
+	}
+	return null;
+};
+
+// e.g. nodejs14.x -> [14], python3.10 -> [3, 10]
+const getRuntimeVersion = runtime =>
+	runtime
+		.replace(/^[a-z]+/, "")
+		.replace(/\.x$/, "")
+		.split(".")
+		.map(Number);
+
+const isVersionAtLeast = (version, minimumVersion) => {
+	for (let i = 0; i < minimumVersion.length; i++) {
+		const part = version[i] || 0;
+		if (part !== minimumVersion[i]) {
+			return part > minimumVersion[i];
+		}
+	}
+	return true;
 };
 
 class LumigoPlugin {
@@ -31,45 +427,100 @@ class LumigoPlugin {
 				this.log(msg);
 			}
 		};
-		this.folderPath = path.join(this.serverless.config.servicePath, "_lumigo");
+		this.folderPath = path.join(this.serverless.config.servicePath, LumigoFolder);
+
+		this.unsupportedLayerOptions = new Set();
+		this.unknownTracerOptions = new Set();
+		this.unsupportedWrapperOptions = new Set();
+		this.reportedConflicts = new Set();
+		// the contents of the service's files that were read, by their paths
+		this.serviceFiles = new Map();
+		this.lockFilePath = path.join(this.serverless.config.servicePath, LockFileName);
+		this.stateFilePath = path.join(this.serverless.config.servicePath, StateFileName);
+
+		this.commands = {
+			lumigo: {
+				usage: "Manage the Lumigo tracer instrumentation",
+				commands: {
+					clean: {
+						usage:
+							"Remove the wrappers and the tracer installation left behind by a failed packaging or deployment",
+						lifecycleEvents: ["clean"]
+					},
+					lock: {
+						usage: `Resolve the latest Lumigo layers of the service's functions and record them in ${LockFileName}`,
+						lifecycleEvents: ["lock"]
+					},
+					plan: {
+						usage:
+							"Show how the functions would be instrumented, without changing anything",
+						lifecycleEvents: ["plan"],
+						options: {
+							json: {
+								usage: "Print the plan as JSON",
+								type: "boolean"
+							}
+						}
+					}
+				}
+			}
+		};
 
 		this.hooks = {
+			"lumigo:clean:clean": this.cleanWorkingTree.bind(this),
+			"lumigo:lock:lock": this.refreshLockFile.bind(this),
+			"lumigo:plan:plan": this.printPlan.bind(this),
 			"after:package:initialize": this.afterPackageInitialize.bind(this),
 			"after:deploy:function:initialize": this.afterDeployFunctionInitialize.bind(
 				this
 			),
 			"after:package:createDeploymentArtifacts": this.afterCreateDeploymentArtifacts.bind(
 				this
+			),
+			// the resources section is merged into the template right before
+			"before:aws:package:finalize:saveServiceState": this.instrumentCloudFormationFunctions.bind(
+				this
 			)
 		};
 		this.extendServerlessSchema();
 	}
 
 	extendServerlessSchema() {
+		const configSchemaHandler = this.serverless.configSchemaHandler;
 		if (
-			this.serverless.configSchemaHandler &&
-			typeof this.serverless.configSchemaHandler.defineFunctionProperties ===
-				"function"
+			configSchemaHandler &&
+			typeof configSchemaHandler.defineCustomProperties === "function"
 		) {
-			this.serverless.configSchemaHandler.defineFunctionProperties("aws", {
+			configSchemaHandler.defineCustomProperties({
 				type: "object",
 				properties: {
 					lumigo: {
 						type: "object",
-						properties: {
-							token: { type: "string" },
-							enabled: { type: "boolean" },
-							pinVersion: { type: "string" },
-							skipInstallNodeTracer: { type: "boolean" },
-							skipReqCheck: { type: "boolean" },
-							step_function: { type: "boolean" },
-							useLayers: { type: "boolean" },
-							nodePackageManager: { type: "string" },
-							nodeLayerVersion: { type: "string" },
-							nodeUseESModule: { type: "boolean" },
-							nodeModuleFileExtension: { type: "string" },
-							pythonLayerVersion: { type: "string" }
-						},
+						properties: Object.assign(
+							{},
+							PluginOptionsSchema,
+							ServiceOptionsSchema,
+							TracerOptionsSchema
+						),
+						additionalProperties: false
+					}
+				}
+			});
+		}
+		if (
+			configSchemaHandler &&
+			typeof configSchemaHandler.defineFunctionProperties === "function"
+		) {
+			configSchemaHandler.defineFunctionProperties("aws", {
+				type: "object",
+				properties: {
+					lumigo: {
+						type: "object",
+						properties: Object.assign(
+							{ enabled: { type: "boolean" } },
+							PluginOptionsSchema,
+							TracerOptionsSchema
+						),
 						additionalProperties: false
 					}
 				}
@@ -85,264 +536,1304 @@ class LumigoPlugin {
 		).toLowerCase();
 	}
 
-	get nodeUseESModule() {
-		return _.get(this.serverless.service, "custom.lumigo.nodeUseESModule", false);
+	get nodeUseESModule() {
+		return _.get(this.serverless.service, "custom.lumigo.nodeUseESModule", false);
+	}
+
+	// the directory of the service's package within a workspace
+	get nodePackagePath() {
+		return path.resolve(
+			this.serverless.config.servicePath,
+			_.get(this.serverless.service, "custom.lumigo.nodeWorkspacePackage", ".")
+		);
+	}
+
+	get nodePackageManager() {
+		const nodePackageManager = _.get(
+			this.serverless.service,
+			"custom.lumigo.nodePackageManager"
+		);
+		if (nodePackageManager) {
+			return nodePackageManager.toLowerCase();
+		}
+		return this.detectNodePackageManager().packageManager;
+	}
+
+	// the nearest lock file, either the package's or its workspace root's,
+	// tells which package manager the project uses
+	detectNodePackageManager() {
+		let dir = this.nodePackagePath;
+		let parent = null;
+		while (dir !== parent) {
+			const lockFile = Object.keys(NodeLockFiles).find(lockFile =>
+				fs.pathExistsSync(path.join(dir, lockFile))
+			);
+			if (lockFile) {
+				this.verboseLog(`found [${path.join(dir, lockFile)}]...`);
+				return { packageManager: NodeLockFiles[lockFile], root: dir };
+			}
+			parent = dir;
+			dir = path.dirname(dir);
+		}
+		return { packageManager: NodePackageManagers.NPM, root: null };
+	}
+
+	get useServerlessEsbuild() {
+		return this.isPluginInUse("serverless-esbuild");
+	}
+
+	isPluginInUse(name) {
+		const plugins = _.get(this.serverless.service, "plugins", []);
+		const modulesPlugins = _.get(this.serverless.service, "plugins.modules", []); // backward compatible
+		return (
+			(Array.isArray(plugins) && plugins.includes(name)) ||
+			(Array.isArray(modulesPlugins) && modulesPlugins.includes(name))
+		);
+	}
+
+	// the function's lumigo block overrides the service-level custom.lumigo
+	getLumigoConfig(func) {
+		const config = Object.assign(
+			{},
+			_.get(this.serverless.service, "custom.lumigo", {}),
+			_.omit(func.lumigo, ["enabled"])
+		);
+		if (
+			config.autoStepFunction !== false &&
+			config.step_function === undefined &&
+			this.getStepFunctionTasks().has(func.localName)
+		) {
+			config.step_function = true;
+		}
+		return config;
+	}
+
+	// the functions that are task states of the serverless-step-functions
+	// state machines
+	getStepFunctionTasks() {
+		if (this.stepFunctionTasks) {
+			return this.stepFunctionTasks;
+		}
+
+		const naming = this.serverless.getProvider("aws").naming;
+		const functionNames = {};
+		for (const localName of this.serverless.service.getAllFunctions()) {
+			// serverless-step-functions also accepts the names of the functions
+			functionNames[localName] = localName;
+			functionNames[naming.getLambdaLogicalId(localName)] = localName;
+			const name = _.get(this.serverless.service.getFunction(localName), "name");
+			if (name) {
+				functionNames[name] = localName;
+			}
+		}
+
+		// e.g. { "Fn::GetAtt": ["HelloLambdaFunction", "Arn"] }, { "Fn::GetAtt": "hello.Arn" },
+		// { Ref: "HelloLambdaFunction" } or arn:aws:lambda:...:function:lumigo-test-dev-hello
+		const getLocalName = resource => {
+			if (_.isString(resource)) {
+				const [, name] = resource.match(/:function:([^:]+)/) || [];
+				return functionNames[name];
+			}
+			const getAtt = _.get(resource, "Fn::GetAtt");
+			const logicalId = _.isString(getAtt)
+				? getAtt.split(".")[0]
+				: _.get(getAtt, 0, _.get(resource, "Ref"));
+			return functionNames[logicalId];
+		};
+
+		const tasks = new Set();
+		const addTasks = states => {
+			for (const state of Object.values(states || {})) {
+				if (state.Type === "Task") {
+					const localName =
+						getLocalName(state.Resource) ||
+						getLocalName(_.get(state, "Parameters.FunctionName"));
+					if (localName) {
+						tasks.add(localName);
+					}
+				}
+				(state.Branches || []).forEach(branch => addTasks(branch.States));
+				addTasks(_.get(state, "Iterator.States"));
+				addTasks(_.get(state, "ItemProcessor.States"));
+			}
+		};
+		const stateMachines = _.get(
+			this.serverless.service,
+			"stepFunctions.stateMachines",
+			{}
+		);
+		for (const stateMachine of Object.values(stateMachines)) {
+			addTasks(_.get(stateMachine, "definition.States"));
+		}
+
+		this.verboseLog(
+			`functions used as step function tasks: [${[...tasks].join(", ")}]`
+		);
+		this.stepFunctionTasks = tasks;
+		return tasks;
+	}
+
+	isUsingLayers(func) {
+		const config = this.getLumigoConfig(func);
+		return (
+			!isImageFunction(func) &&
+			(_.get(config, "useLayers", false) ||
+				(this.useServerlessEsbuild && config.bundleWithEsbuild !== true))
+		);
+	}
+
+	// serverless-esbuild bundles the wrapper, which it finds as the new handler,
+	// along with the original handler and the tracer
+	isBundledWithEsbuild(func) {
+		return (
+			this.useServerlessEsbuild &&
+			getRuntimeFamily(func.runtime) === "nodejs" &&
+			this.isWrapped(func)
+		);
+	}
+
+	isWrapped(func) {
+		return !isImageFunction(func) && !this.isUsingLayers(func);
+	}
+
+	// deploy function never fires after:package:createDeploymentArtifacts
+	async afterDeployFunctionInitialize() {
+		await this.wrapFunctions([this.options.function]);
+
+		const { functions } = this.getFunctionsToWrap(this.serverless.service, [
+			this.options.function
+		]);
+		await this.instrumentFunctions(functions);
+		await this.resolveTokenReferences(functions);
+	}
+
+	// deploy function updates the configuration of the function directly, not
+	// through CloudFormation, which is what resolves the dynamic references
+	async resolveTokenReferences(functions) {
+		for (const func of functions) {
+			const config = this.getLumigoConfig(func);
+			const tokenReference = this.getTokenReference(config);
+			const environment = this.serverless.service.functions[func.localName]
+				.environment;
+			if (
+				!tokenReference ||
+				_.get(environment, "LUMIGO_TRACER_TOKEN") !== tokenReference
+			) {
+				continue;
+			}
+			this.verboseLog(
+				`resolving [${func.localName}]'s token from ${tokenReference}...`
+			);
+			environment["LUMIGO_TRACER_TOKEN"] = await this.resolveToken(func, config);
+		}
+	}
+
+	async resolveToken(func, config) {
+		const provider = this.serverless.getProvider("aws");
+		try {
+			if (config.tokenSecretArn) {
+				const { secretId, jsonKey } = parseSecretReference(config.tokenSecretArn);
+				const secret = await provider.request(
+					"SecretsManager",
+					"getSecretValue",
+					{
+						SecretId: secretId
+					}
+				);
+				return jsonKey
+					? JSON.parse(secret.SecretString)[jsonKey]
+					: secret.SecretString;
+			}
+			const parameter = await provider.request("SSM", "getParameter", {
+				Name: config.tokenSsmParameter,
+				WithDecryption: true
+			});
+			return parameter.Parameter.Value;
+		} catch (e) {
+			throw new this.serverless.classes.Error(
+				`serverless-lumigo: Unable to resolve the token of function [${
+					func.localName
+				}] from [${config.tokenSecretArn || config.tokenSsmParameter}]: ${
+					e.message
+				}. serverless deploy function doesn't deploy through CloudFormation, so the plugin reads the token itself.`
+			);
+		}
+	}
+
+	async afterPackageInitialize() {
+		await this.wrapFunctions();
+	}
+
+	getArchitecture(func) {
+		return (
+			func.architecture ||
+			_.get(this.serverless.service, "provider.architecture", "x86_64")
+		);
+	}
+
+	getLayerSource(func) {
+		const source = LayerSources[getRuntimeFamily(func.runtime)];
+		const architecture = this.getArchitecture(func);
+		const isSupported =
+			source &&
+			source.architectures.includes(architecture) &&
+			(!source.minimumRuntimeVersion ||
+				isVersionAtLeast(
+					getRuntimeVersion(func.runtime),
+					source.minimumRuntimeVersion
+				));
+		if (!isSupported) {
+			throw new this.serverless.classes.Error(
+				`serverless-lumigo: There is no published Lumigo layer for function [${func.localName}] with runtime [${func.runtime}] and architecture [${architecture}].`
+			);
+		}
+		return source;
+	}
+
+	async getLatestLayerVersionArn(source, region) {
+		let resp;
+		try {
+			resp = await http.get(source.url);
+		} catch (e) {
+			throw new this.serverless.classes.Error(
+				`serverless-lumigo: Unable to fetch the latest ${source.layerName} layer from [${source.url}]: ${e.message}. Pin the layer version, or set layerResolution to "lock" or "manifest" to resolve it offline.`
+			);
+		}
+
+		const layerArns = parseLayerArns(resp.data, source.layerName);
+		if (_.isEmpty(layerArns)) {
+			throw new this.serverless.classes.Error(
+				`serverless-lumigo: Unexpected format of [${source.url}], unable to find any ${source.layerName} layer.`
+			);
+		} else if (!layerArns[region]) {
+			throw new this.serverless.classes.Error(
+				`serverless-lumigo: There is no published ${source.layerName} layer in region [${region}].`
+			);
+		}
+		return layerArns[region];
+	}
+
+	readLockFile() {
+		if (!fs.pathExistsSync(this.lockFilePath)) {
+			return { layers: {} };
+		}
+		return fs.readJsonSync(this.lockFilePath) || { layers: {} };
+	}
+
+	async getLayerArn(func, config) {
+		const region = this.serverless.service.provider.region;
+		const runtimeFamily = getRuntimeFamily(func.runtime);
+		const architecture = this.getArchitecture(func);
+		const source = this.getLayerSource(func);
+		const pinnedVersion =
+			runtimeFamily === "nodejs"
+				? config.nodeLayerVersion
+				: config.pythonLayerVersion;
+		if (pinnedVersion) {
+			return `arn:aws:lambda:${region}:${LumigoAccountId}:layer:${source.layerName}:${pinnedVersion}`;
+		}
+
+		const layerPath = ["layers", region, runtimeFamily, architecture];
+		const layerResolution = config.layerResolution || LayerResolutions.Auto;
+		if (layerResolution === LayerResolutions.Manifest) {
+			// the manifest is only generated when the plugin is published
+			if (_.isEmpty(LayersManifest.layers)) {
+				throw new this.serverless.classes.Error(
+					`serverless-lumigo: The bundled layers manifest is empty, as in a git checkout of the plugin, where it is not generated (function [${func.localName}]). Run "npm run layers:manifest" in the plugin to generate it, or set layerResolution to "lock" or "auto", or pin the layer version.`
+				);
+			}
+			const layerArn = _.get(LayersManifest, layerPath);
+			if (!layerArn) {
+				throw new this.serverless.classes.Error(
+					`serverless-lumigo: The bundled layers manifest has no ${source.layerName} layer for region [${region}] and architecture [${architecture}] (function [${func.localName}]).`
+				);
+			}
+			return layerArn;
+		}
+
+		const lockedLayerArn = _.get(this.readLockFile(), layerPath);
+		if (lockedLayerArn) {
+			return lockedLayerArn;
+		} else if (layerResolution === LayerResolutions.Lock) {
+			throw new this.serverless.classes.Error(
+				`serverless-lumigo: ${LockFileName} has no ${source.layerName} layer for region [${region}] and architecture [${architecture}] (function [${func.localName}]). Run "serverless lumigo lock" to refresh it.`
+			);
+		}
+
+		const cacheKey = [region, runtimeFamily, architecture].join("/");
+		if (!LayerArns[cacheKey]) {
+			LayerArns[cacheKey] = await this.getLatestLayerVersionArn(source, region);
+		}
+		return LayerArns[cacheKey];
+	}
+
+	// the instrumentation of each function, as wrapFunctions and
+	// afterCreateDeploymentArtifacts would apply it
+	async getInstrumentationPlan() {
+		const { functions, skipped } = this.getFunctionsToWrap(this.serverless.service);
+		this.ensureTokenIsConfigured(functions);
+
+		// keep plaintext tokens out of the plan, which usually ends up in CI logs
+		const maskToken = (values, token) =>
+			_.mapValues(values, value => (token && value === token ? "****" : value));
+
+		const plans = [];
+		for (const func of functions) {
+			const config = this.getLumigoConfig(func);
+			const plan = {
+				localName: func.localName,
+				runtime: func.runtime,
+				handler: func.handler || _.get(func, ["image", "command", 0], null)
+			};
+			if (isImageFunction(func)) {
+				const instrumentation = this.getImageInstrumentation(func, config);
+				Object.assign(plan, {
+					mode: "image",
+					newHandler: _.get(instrumentation, ["image", "command", 0], null),
+					layers: [],
+					environment: maskToken(instrumentation.environment, config.token),
+					tracerParameters: {}
+				});
+			} else if (this.isUsingLayers(func)) {
+				const instrumentation = await this.getLayerInstrumentation(func, config);
+				Object.assign(plan, {
+					mode: "layer",
+					newHandler: instrumentation.handler,
+					layers: instrumentation.layers,
+					environment: maskToken(instrumentation.environment, config.token),
+					tracerParameters: {}
+				});
+			} else {
+				const language = WrapperLanguages[getRuntimeFamily(func.runtime)];
+				const tracerParameters = this.getWrapperTracerOptions(config, language);
+				if (this.getTokenReference(config)) {
+					tracerParameters.token = language.tokenFromEnvironment;
+				}
+				Object.assign(plan, {
+					mode: this.isBundledWithEsbuild(func) ? "esbuild" : "wrapper",
+					newHandler: this.getWrapperHandler(func),
+					layers: [],
+					environment: this.getWrapperEnvironment(config),
+					tracerParameters: maskToken(tracerParameters, config.token)
+				});
+			}
+			plans.push(plan);
+		}
+
+		return { functions: plans, skipped };
+	}
+
+	async printPlan() {
+		const plan = await this.getInstrumentationPlan();
+		if (this.options.json) {
+			this.serverless.cli.consoleLog(JSON.stringify(plan, null, 2));
+			return;
+		}
+
+		const format = values =>
+			Object.entries(values)
+				.map(([key, value]) => `${key}=${JSON.stringify(value)}`)
+				.join(", ") || "none";
+
+		this.log(`${plan.functions.length} function(s) would be instrumented`);
+		for (const func of plan.functions) {
+			this.log(`[${func.localName}] (${func.runtime}, ${func.mode})`);
+			this.log(`  handler: ${func.handler} -> ${func.newHandler}`);
+			this.log(`  layers added: ${func.layers.join(", ") || "none"}`);
+			this.log(`  environment variables: ${format(func.environment)}`);
+			this.log(`  tracer parameters: ${format(func.tracerParameters)}`);
+		}
+		for (const func of plan.skipped) {
+			this.log(`[${func.localName}] skipped: ${func.reason}`);
+		}
+	}
+
+	// wrapped and image functions don't use layers, and the CloudFormation
+	// functions are only known from the resources section, as the template is
+	// not compiled yet
+	async refreshLockFile() {
+		const region = this.serverless.service.provider.region;
+		const { functions } = this.getFunctionsToWrap(this.serverless.service);
+		const resources = _.get(this.serverless.service, "resources.Resources", {});
+		const cloudFormationFunctions = this.getCloudFormationFunctions(resources)
+			.filter(({ resource }) => isSupportedCloudFormationFunction(resource))
+			.map(({ logicalId, resource }) => ({
+				localName: logicalId,
+				runtime: resource.Properties.Runtime,
+				architecture: _.get(resource.Properties, ["Architectures", 0])
+			}));
+		const lock = this.readLockFile();
+		const refreshed = new Set();
+
+		for (const func of [
+			...functions.filter(func => this.isUsingLayers(func)),
+			...cloudFormationFunctions
+		]) {
+			const layerPath = [
+				"layers",
+				region,
+				getRuntimeFamily(func.runtime),
+				this.getArchitecture(func)
+			];
+			if (refreshed.has(layerPath.join("/"))) {
+				continue;
+			}
+			const source = this.getLayerSource(func);
+			const layerArn = await this.getLatestLayerVersionArn(source, region);
+			this.verboseLog(`locking [${func.localName}]'s layer to [${layerArn}]...`);
+			_.set(lock, layerPath, layerArn);
+			refreshed.add(layerPath.join("/"));
+		}
+
+		await fs.writeJson(this.lockFilePath, lock, { spaces: 2 });
+		this.log(`updated ${LockFileName} with the layers of region [${region}]`);
+	}
+
+	async wrapFunctions(functionNames) {
+		const { functions } = this.getFunctionsToWrap(
+			this.serverless.service,
+			functionNames
+		);
+
+		const stageSkipReason = this.getStageSkipReason();
+		if (stageSkipReason) {
+			this.log(`${stageSkipReason}, skipping the instrumentation...`);
+		}
+
+		this.log(`there are ${functions.length} function(s) to wrap...`);
+		functions.forEach(fn => this.verboseLog(JSON.stringify(fn)));
+
+		if (functions.length === 0) {
+			return;
+		}
+
+		this.ensureTokenIsConfigured(functions);
+		this.checkConflicts(functions);
+
+		const wrappedFunctions = functions.filter(func => this.isWrapped(func));
+		if (wrappedFunctions.length === 0) {
+			return;
+		}
+
+		this.checkHandlers(wrappedFunctions);
+		if (wrappedFunctions.some(func => this.isBundledWithEsbuild(func))) {
+			this.checkEsbuildConfiguration();
+		}
+		await this.recordChanges();
+
+		const skipInstallNodeTracer = _.get(
+			this.serverless.service,
+			"custom.lumigo.skipInstallNodeTracer",
+			false
+		);
+		let skipReqCheck = _.get(
+			this.serverless.service,
+			"custom.lumigo.skipReqCheck",
+			false
+		);
+
+		const nodeFunctions = wrappedFunctions.filter(
+			func => getRuntimeFamily(func.runtime) === "nodejs"
+		);
+		const pythonFunctions = wrappedFunctions.filter(
+			func => getRuntimeFamily(func.runtime) === "python"
+		);
+
+		if (nodeFunctions.length > 0) {
+			const pinVersion = _.get(this.serverless.service, "custom.lumigo.pinVersion");
+			if (skipInstallNodeTracer) {
+				this.verboseLog("skipping the installation of @lumigo/tracer...");
+			} else if (this.isNodeTracerInstalled(pinVersion)) {
+				this.log("reusing the @lumigo/tracer dependency of the service...");
+			} else {
+				await this.installLumigoNodejs(pinVersion);
+			}
+
+			for (const func of nodeFunctions) {
+				const config = this.getLumigoConfig(func);
+				const handler = await this.createWrappedNodejsFunction(
+					func,
+					config.token,
+					config
+				);
+				this.setWrapperEnvironment(func, config);
+				// replace the function handler to the wrapped function
+				this.verboseLog(
+					`setting [${func.localName}]'s handler to [${handler}]...`
+				);
+				this.serverless.service.functions[func.localName].handler = handler;
+			}
+		}
+
+		if (pythonFunctions.length > 0) {
+			if (skipReqCheck !== true) {
+				await this.ensureLumigoPythonIsInstalled(pythonFunctions);
+			} else {
+				this.log("Skipping requirements.txt check");
+			}
+
+			const { isZip } = await this.getPythonPluginConfiguration();
+			this.verboseLog(`Python plugin zip status ${isZip}`);
+			for (const func of pythonFunctions) {
+				const config = this.getLumigoConfig(func);
+				const handler = await this.createWrappedPythonFunction(
+					func,
+					config.token,
+					config,
+					isZip
+				);
+				this.setWrapperEnvironment(func, config);
+				// replace the function handler to the wrapped function
+				this.verboseLog(
+					`setting [${func.localName}]'s handler to [${handler}]...`
+				);
+				this.serverless.service.functions[func.localName].handler = handler;
+			}
+		}
+
+		// serverless-esbuild packages its own bundles instead
+		this.addWrappersToPackage(
+			wrappedFunctions.filter(func => !this.isBundledWithEsbuild(func))
+		);
+	}
+
+	// the tracer is bundled unless it's external, in which case serverless-esbuild
+	// installs it from the dependencies of the service
+	checkEsbuildConfiguration() {
+		const esbuildConfig = _.get(this.serverless.service, "custom.esbuild", {});
+		if (esbuildConfig.bundle === false) {
+			throw new this.serverless.classes.Error(
+				"serverless-lumigo: bundleWithEsbuild requires serverless-esbuild to bundle the functions, but custom.esbuild.bundle is false."
+			);
+		}
+		if (_.includes(esbuildConfig.exclude, "@lumigo/tracer")) {
+			throw new this.serverless.classes.Error(
+				"serverless-lumigo: @lumigo/tracer is in custom.esbuild.exclude, so it would be missing from the functions. Remove it from there."
+			);
+		}
+		if (
+			_.includes(esbuildConfig.external, "@lumigo/tracer") &&
+			!this.getInstalledNodeTracer().isDeclared
+		) {
+			throw new this.serverless.classes.Error(
+				"serverless-lumigo: @lumigo/tracer is in custom.esbuild.external, so serverless-esbuild installs it from the dependencies of package.json, which don't include it. Add it to them, or remove it from custom.esbuild.external to bundle it."
+			);
+		}
+	}
+
+	// the wrappers load the original handlers when the functions are invoked, so
+	// a handler that doesn't exist would only fail then. A missing module fails
+	// the packaging, while an export that isn't found is only warned about
+	checkHandlers(functions) {
+		for (const func of functions) {
+			if (this.getLumigoConfig(func).skipHandlerCheck) {
+				continue;
+			}
+
+			const moduleFile = this.findHandlerModule(func);
+			if (!moduleFile) {
+				const candidates = this.getHandlerModuleCandidates(func);
+				throw new this.serverless.classes.Error(
+					`serverless-lumigo: Unable to find the module of the handler [${
+						func.handler
+					}] of function [${func.localName}], looked for [${candidates.join(
+						", "
+					)}]. Fix the handler, or set skipHandlerCheck to true if the module is created later.`
+				);
+			}
+
+			const handlerFuncName = func.handler.substr(
+				func.handler.lastIndexOf(".") + 1
+			);
+			const source = this.readServiceFile(moduleFile);
+			if (
+				!hasHandlerExport(source, handlerFuncName, getRuntimeFamily(func.runtime))
+			) {
+				// the export is only looked for in the source, so it may be missed
+				this.log(
+					`WARNING: the export of [${handlerFuncName}], the handler [${func.handler}] of function [${func.localName}], was not found in [${moduleFile}]. The function fails when invoked if the handler is not exported.`
+				);
+			}
+		}
+	}
+
+	getHandlerModuleCandidates(func) {
+		return getHandlerModuleCandidates(
+			func.handler,
+			getRuntimeFamily(func.runtime),
+			this.nodeModuleFileExtension
+		);
+	}
+
+	// the file of the handler's module, relative to the service, or undefined if
+	// there's none
+	findHandlerModule(func) {
+		return this.getHandlerModuleCandidates(func).find(file =>
+			this.readServiceFile(file)
+		);
+	}
+
+	// the contents of a file of the service, or undefined if there's no such file
+	readServiceFile(file) {
+		const filePath = path.join(this.serverless.config.servicePath, file);
+		if (!this.serviceFiles.has(filePath)) {
+			try {
+				this.serviceFiles.set(filePath, fs.readFileSync(filePath, "utf8"));
+			} catch (error) {
+				if (!["ENOENT", "ENOTDIR", "EISDIR"].includes(error.code)) {
+					throw error;
+				}
+				this.serviceFiles.set(filePath, undefined);
+			}
+		}
+		return this.serviceFiles.get(filePath);
+	}
+
+	// how the wrapper loads a TypeScript handler: serverless-plugin-typescript
+	// compiles .ts wrappers along with the handlers, while a tsc outDir holds the
+	// compiled handlers for plain wrappers. null for the other handlers
+	getTypeScriptHandler(func) {
+		// esbuild compiles TypeScript on its own
+		if (this.isBundledWithEsbuild(func)) {
+			return null;
+		}
+
+		const moduleFile = this.findHandlerModule(func);
+		if (!moduleFile || !moduleFile.endsWith(".ts")) {
+			return null;
+		}
+
+		const handlerModulePath = func.handler.substr(0, func.handler.lastIndexOf("."));
+		if (this.isPluginInUse("serverless-plugin-typescript")) {
+			return { isCompiled: false, modulePath: handlerModulePath };
+		}
+
+		const compilerOptions = this.getTypeScriptCompilerOptions();
+		if (!compilerOptions.outDir) {
+			return null;
+		}
+		if (!compilerOptions.rootDir) {
+			throw new this.serverless.classes.Error(
+				`serverless-lumigo: The tsconfig.json of the service has an outDir but no rootDir, so where tsc compiles the module [${moduleFile}] of function [${func.localName}] depends on all the sources of the project. Set compilerOptions.rootDir, e.g. to "src".`
+			);
+		}
+		const modulePath = getCompiledModulePath(moduleFile, compilerOptions);
+		if (!modulePath) {
+			throw new this.serverless.classes.Error(
+				`serverless-lumigo: The module [${moduleFile}] of function [${func.localName}] is outside of the rootDir [${compilerOptions.rootDir}] of tsconfig.json, so where tsc compiles it is unknown.`
+			);
+		}
+		return { isCompiled: true, modulePath };
+	}
+
+	// the compilerOptions of the service's tsconfig.json, if there's one
+	getTypeScriptCompilerOptions() {
+		const tsconfig = this.readServiceFile("tsconfig.json");
+		if (!tsconfig) {
+			return {};
+		}
+		try {
+			return parseTsconfig(tsconfig).compilerOptions || {};
+		} catch (error) {
+			throw new this.serverless.classes.Error(
+				`serverless-lumigo: Unable to parse tsconfig.json: ${error.message}`
+			);
+		}
+	}
+
+	// the files in _lumigo that the function's artifact needs
+	getWrapperPatterns(func) {
+		if (getRuntimeFamily(func.runtime) === "nodejs") {
+			return [
+				`${LumigoFolder}/${func.localName}.js`,
+				`${LumigoFolder}/package.json`,
+				`${LumigoFolder}/node_modules/**`
+			];
+		}
+		return [`${LumigoFolder}/${func.localName}.py`];
+	}
+
+	// adds the wrappers to the package.patterns of the artifacts, or to
+	// package.include where the deprecated include is still used
+	addWrappersToPackage(functions) {
+		if (functions.length === 0) {
+			return;
+		}
+
+		const addPatterns = (packageConfig, patterns) => {
+			const key = packageConfig.include ? "include" : "patterns";
+			packageConfig[key] = [...(packageConfig[key] || []), ...patterns];
+			return packageConfig;
+		};
+
+		const servicePackage = this.serverless.service.package || {};
+		for (const func of functions) {
+			const funcObject = this.serverless.service.functions[func.localName];
+			const funcPackage = funcObject.package || {};
+			if (!servicePackage.individually && !funcPackage.individually) {
+				continue;
+			}
+			// the patterns of the function come after the service's, so only
+			// its own wrapper is left in its artifact
+			this.verboseLog(`adding [${func.localName}]'s wrapper to its package...`);
+			funcObject.package = addPatterns(funcPackage, [
+				`!${LumigoFolder}/**`,
+				...this.getWrapperPatterns(func)
+			]);
+		}
+
+		// the artifact that the functions not packaged individually share
+		if (!servicePackage.individually) {
+			this.serverless.service.package = addPatterns(servicePackage, [
+				`${LumigoFolder}/**`
+			]);
+		}
 	}
 
-	get nodePackageManager() {
-		return _.get(
-			this.serverless.service,
-			"custom.lumigo.nodePackageManager",
-			NodePackageManagers.NPM
-		).toLowerCase();
+	ensureTokenIsConfigured(functions) {
+		const functionWithoutToken = functions.find(func => {
+			const config = this.getLumigoConfig(func);
+			return !config.token && !this.getTokenReference(config);
+		});
+		if (functionWithoutToken) {
+			throw new this.serverless.classes.Error(
+				"serverless-lumigo: Unable to find token. Please follow https://github.com/lumigo-io/serverless-lumigo"
+			);
+		}
 	}
 
-	get useServerlessEsbuild() {
-		const plugins = _.get(this.serverless.service, "plugins", []);
-		const modulesPlugins = _.get(this.serverless.service, "plugins.modules", []); // backward compatible
-		const isServerlessEsbuildInList = list =>
-			list.find(plugin => plugin === "serverless-esbuild");
-		return (
-			(Array.isArray(plugins) && isServerlessEsbuildInList(plugins)) ||
-			(Array.isArray(modulesPlugins) && isServerlessEsbuildInList(modulesPlugins))
-		);
+	// a CloudFormation dynamic reference that keeps the token out of the template
+	getTokenReference(config) {
+		if (config.tokenSecretArn) {
+			return `{{resolve:secretsmanager:${config.tokenSecretArn}}}`;
+		} else if (config.tokenSsmParameter) {
+			return `{{resolve:ssm:${config.tokenSsmParameter}}}`;
+		}
+		return null;
 	}
 
-	get useLayers() {
-		return (
-			_.get(this.serverless.service, "custom.lumigo.useLayers", false) ||
-			this.useServerlessEsbuild
+	// the environment of the wrappers, with a token that is not in plaintext
+	// and the tracer options that are only read from the environment
+	getWrapperEnvironment(config) {
+		const environment = this.getTracerEnvironment(
+			_.pick(config, EnvironmentOnlyTracerOptions)
 		);
+		const tokenReference = this.getTokenReference(config);
+		if (tokenReference) {
+			environment["LUMIGO_TRACER_TOKEN"] = tokenReference;
+		}
+		return environment;
 	}
 
-	get pinnedNodeLayerVersion() {
-		return _.get(this.serverless.service, "custom.lumigo.nodeLayerVersion", null);
+	setWrapperEnvironment(func, config) {
+		const environment = this.getWrapperEnvironment(config);
+		if (!_.isEmpty(environment)) {
+			this.serverless.service.functions[func.localName].environment = Object.assign(
+				this.serverless.service.functions[func.localName].environment || {},
+				environment
+			);
+		}
 	}
 
-	get pinnedPythonLayerVersion() {
-		return _.get(this.serverless.service, "custom.lumigo.pythonLayerVersion", null);
-	}
+	async getLayerInstrumentation(func, config) {
+		const layer = await this.getLayerArn(func, config);
+		const environment = Object.assign(this.getTracerEnvironment(config), {
+			LUMIGO_TRACER_TOKEN: this.getTokenReference(config) || config.token
+		});
 
-	async afterDeployFunctionInitialize() {
-		await this.wrapFunctions([this.options.function]);
-	}
+		if (config.useExecWrapper) {
+			const execWrapper =
+				_.get(func, "environment.AWS_LAMBDA_EXEC_WRAPPER") ||
+				_.get(
+					this.serverless.service,
+					"provider.environment.AWS_LAMBDA_EXEC_WRAPPER"
+				);
+			if (!execWrapper) {
+				// the handler is left untouched for other plugins and tools to use
+				environment["AWS_LAMBDA_EXEC_WRAPPER"] = LumigoExecWrapper;
+				return { handler: func.handler, layers: [layer], environment };
+			}
+			this.log(
+				`[${func.localName}] already has the exec wrapper [${execWrapper}], replacing its handler instead...`
+			);
+		}
 
-	async afterPackageInitialize() {
-		await this.wrapFunctions();
+		const handler = AutoInstrumentHandlers[getRuntimeFamily(func.runtime)];
+		environment["LUMIGO_ORIGINAL_HANDLER"] = func.handler;
+		return { handler, layers: [layer], environment };
 	}
 
-	async getLatestNodeLayerVersionArn(layerArn) {
-		const resp = await http.get(nodeLayerVersionsUrl);
-		const pattern = `${layerArn}:\\d+`;
-		const regex = new RegExp(pattern, "gm");
-		const matches = regex.exec(resp.data);
-		return matches[0];
-	}
+	// the tracer is installed in the image, so only its configuration is
+	// injected, unless the image command is rewritten to the tracer's handler
+	getImageInstrumentation(func, config) {
+		const environment = Object.assign(this.getTracerEnvironment(config), {
+			LUMIGO_TRACER_TOKEN: this.getTokenReference(config) || config.token
+		});
+		const command = _.get(func, "image.command", []);
+		const originalHandler = command[0];
+		if (originalHandler) {
+			environment["LUMIGO_ORIGINAL_HANDLER"] = originalHandler;
+		}
+		if (!config.rewriteImageCommand) {
+			return { image: func.image, environment };
+		}
 
-	async getLatestPythonLayerVersionArn(layerArn) {
-		const resp = await http.get(pythonLayerVersionsUrl);
-		const pattern = `${layerArn}:\\d+`;
-		const regex = new RegExp(pattern, "gm");
-		const matches = regex.exec(resp.data);
-		return matches[0];
+		if (!originalHandler) {
+			throw new this.serverless.classes.Error(
+				`serverless-lumigo: Unable to rewrite the image command of function [${func.localName}], it has no image.command with the original handler.`
+			);
+		}
+		// the tracer's handler is specific to the runtime of the image
+		const handler = AutoInstrumentHandlers[getRuntimeFamily(func.runtime)];
+		if (!handler) {
+			throw new this.serverless.classes.Error(
+				`serverless-lumigo: Unable to rewrite the image command of function [${func.localName}], its runtime [${func.runtime}] is not a supported Node.js or Python runtime. Set the runtime of the function, or of the provider, to the runtime of the image.`
+			);
+		}
+		this.log(
+			`WARNING: the image command of [${func.localName}] is rewritten to the Lumigo tracer's handler, which must be installed in the image, e.g. by copying the contents of the Lumigo layer into /opt`
+		);
+		return {
+			image: Object.assign({}, func.image, {
+				command: [handler, ...command.slice(1)]
+			}),
+			environment
+		};
 	}
 
-	async getLayerArn(runtime) {
-		const region = this.serverless.service.provider.region;
-		if (runtime.startsWith("nodejs")) {
-			if (this.pinnedNodeLayerVersion) {
-				return `arn:aws:lambda:${region}:114300393969:layer:lumigo-node-tracer:${this.pinnedNodeLayerVersion}`;
-			} else if (LayerArns.node) {
-				return LayerArns.node;
-			} else {
-				const nodeLayerArn = `arn:aws:lambda:${region}:114300393969:layer:lumigo-node-tracer`;
-				LayerArns.node = await this.getLatestNodeLayerVersionArn(nodeLayerArn);
-				return LayerArns.node;
-			}
-		} else if (runtime.startsWith("python")) {
-			if (this.pinnedPythonLayerVersion) {
-				return `arn:aws:lambda:${region}:114300393969:layer:lumigo-python-tracer:${this.pinnedPythonLayerVersion}`;
-			} else if (LayerArns.python) {
-				return LayerArns.python;
+	// the layers are configured through environment variables rather than
+	// tracer parameters
+	getTracerEnvironment(config) {
+		const environment = {};
+		const options = _.omit(this.getTracerOptions(config), ["token"]);
+		for (const [key, value] of Object.entries(options)) {
+			const environmentVariable = TracerEnvironmentVariables[key];
+			if (!environmentVariable) {
+				if (!this.unsupportedLayerOptions.has(key)) {
+					this.unsupportedLayerOptions.add(key);
+					this.log(
+						`WARNING: the tracer option [${key}] is not supported with layers, and is ignored`
+					);
+				}
+			} else if (_.isObjectLike(value)) {
+				environment[environmentVariable] = JSON.stringify(value);
 			} else {
-				const pythonLayerArn = `arn:aws:lambda:${region}:114300393969:layer:lumigo-python-tracer`;
-				LayerArns.python = await this.getLatestPythonLayerVersionArn(
-					pythonLayerArn
-				);
-				return LayerArns.python;
+				environment[environmentVariable] = String(value);
 			}
 		}
+		return environment;
 	}
 
-	async wrapFunctions(functionNames) {
-		const { runtime, functions } = this.getFunctionsToWrap(
-			this.serverless.service,
-			functionNames
-		);
-
-		this.log(`there are ${functions.length} function(s) to wrap...`);
-		functions.forEach(fn => this.verboseLog(JSON.stringify(fn)));
+	async afterCreateDeploymentArtifacts() {
+		const { functions } = this.getFunctionsToWrap(this.serverless.service);
+		await this.instrumentFunctions(functions);
+		await this.checkArtifactSizes(functions);
 
-		if (functions.length === 0) {
+		const wrappedFunctions = functions.filter(func => this.isWrapped(func));
+		if (wrappedFunctions.length === 0) {
 			return;
 		}
 
-		const token = _.get(this.serverless.service, "custom.lumigo.token");
-		if (!token) {
-			throw new this.serverless.classes.Error(
-				"serverless-lumigo: Unable to find token. Please follow https://github.com/lumigo-io/serverless-lumigo"
+		// this also removes the tracer installed in _lumigo/node_modules
+		await this.cleanFolder();
+	}
+
+	// applies the layers and the environment of the functions that are not
+	// wrapped, for both full and single-function deployments
+	async instrumentFunctions(functions) {
+		// other plugins may have added their layers since wrapFunctions
+		this.checkConflicts(functions.filter(func => !this.isWrapped(func)));
+
+		for (const func of functions.filter(func => this.isUsingLayers(func))) {
+			const config = this.getLumigoConfig(func);
+			const instrumentation = await this.getLayerInstrumentation(func, config);
+			func.layers = func.layers || [
+				...(this.serverless.service.provider.layers || [])
+			];
+			this.validateLayers(`function [${func.localName}]`, func.layers);
+			func.layers.push(...instrumentation.layers);
+			func.environment = Object.assign(
+				func.environment || {},
+				instrumentation.environment
 			);
+			func.handler = instrumentation.handler;
+
+			// replace the function handler to the wrapped function
+			this.verboseLog(`adding Lumigo tracer layer to [${func.localName}]...`);
+			this.serverless.service.functions[func.localName].handler = func.handler;
+			this.serverless.service.functions[func.localName].environment =
+				func.environment;
+			this.serverless.service.functions[func.localName].layers = func.layers;
 		}
 
-		if (!this.useLayers) {
-			const pinVersion = _.get(this.serverless.service, "custom.lumigo.pinVersion");
-			const skipInstallNodeTracer = _.get(
-				this.serverless.service,
-				"custom.lumigo.skipInstallNodeTracer",
-				false
+		for (const func of functions.filter(isImageFunction)) {
+			const config = this.getLumigoConfig(func);
+			const instrumentation = this.getImageInstrumentation(func, config);
+			this.verboseLog(
+				`adding the Lumigo tracer environment to [${func.localName}]...`
 			);
-			let skipReqCheck = _.get(
-				this.serverless.service,
-				"custom.lumigo.skipReqCheck",
-				false
+			const funcObject = this.serverless.service.functions[func.localName];
+			funcObject.environment = Object.assign(
+				funcObject.environment || {},
+				instrumentation.environment
 			);
+			funcObject.image = instrumentation.image;
+		}
+	}
 
-			let parameters = _.get(this.serverless.service, "custom.lumigo", {});
-			parameters = _.omit(parameters, [
-				"pinVersion",
-				"skipReqCheck",
-				"skipInstallNodeTracer"
-			]);
+	// fails at package time rather than when CloudFormation deploys the layers
+	validateLayers(name, layers) {
+		const lumigoLayer = layers.find(
+			layer =>
+				_.isString(layer) && layer.includes(`:${LumigoAccountId}:layer:lumigo-`)
+		);
+		if (lumigoLayer) {
+			throw new this.serverless.classes.Error(
+				`serverless-lumigo: The layers of ${name} already include the Lumigo layer [${lumigoLayer}]. Remove it from the layers of the function and of the provider, the plugin adds it.`
+			);
+		} else if (layers.length >= MaxLayers) {
+			throw new this.serverless.classes.Error(
+				`serverless-lumigo: Unable to add the Lumigo layer to ${name}, which already has ${layers.length} layers, while a Lambda function can have at most ${MaxLayers}.`
+			);
+		}
+	}
 
-			if (runtime === "nodejs") {
-				if (!skipInstallNodeTracer) {
-					await this.installLumigoNodejs(pinVersion);
-				}
+	// the unzipped artifacts of the functions must be within maxUnzippedSizeMB
+	async checkArtifactSizes(functions) {
+		const sizes = {};
+		for (const func of functions.filter(func => !isImageFunction(func))) {
+			const maxUnzippedSizeMB = this.getLumigoConfig(func).maxUnzippedSizeMB;
+			if (!maxUnzippedSizeMB) {
+				continue;
+			}
 
-				for (const func of functions) {
-					const handler = await this.createWrappedNodejsFunction(
-						func,
-						token,
-						parameters
-					);
-					// replace the function handler to the wrapped function
-					this.verboseLog(
-						`setting [${func.localName}]'s handler to [${handler}]...`
-					);
-					this.serverless.service.functions[func.localName].handler = handler;
-				}
-			} else if (runtime === "python") {
-				if (skipReqCheck !== true) {
-					await this.ensureLumigoPythonIsInstalled();
-				} else {
-					this.log("Skipping requirements.txt check");
-				}
+			const artifact =
+				_.get(
+					this.serverless.service.functions[func.localName],
+					"package.artifact"
+				) || _.get(this.serverless.service, "package.artifact");
+			if (!artifact || /^(s3|https?):\/\//.test(artifact)) {
+				this.verboseLog(`no local artifact to check for [${func.localName}]...`);
+				continue;
+			}
 
-				const { isZip } = await this.getPythonPluginConfiguration();
-				this.verboseLog(`Python plugin zip status ${isZip}`);
-				for (const func of functions) {
-					const handler = await this.createWrappedPythonFunction(
-						func,
-						token,
-						parameters,
-						isZip
-					);
-					// replace the function handler to the wrapped function
-					this.verboseLog(
-						`setting [${func.localName}]'s handler to [${handler}]...`
-					);
-					this.serverless.service.functions[func.localName].handler = handler;
-				}
+			const artifactPath = path.resolve(
+				this.serverless.config.servicePath,
+				artifact
+			);
+			if (sizes[artifactPath] === undefined) {
+				sizes[artifactPath] = getUnzippedSize(await fs.readFile(artifactPath));
+			}
+			if (sizes[artifactPath] === null) {
+				throw new this.serverless.classes.Error(
+					`serverless-lumigo: Unable to read the artifact [${artifactPath}] of function [${func.localName}] as a zip archive.`
+				);
 			}
 
-			if (this.serverless.service.package) {
-				const include = this.serverless.service.package.include || [];
-				include.push("_lumigo/*");
-				this.serverless.service.package.include = include;
+			const sizeMB = sizes[artifactPath] / 1024 / 1024;
+			this.verboseLog(
+				`the artifact of [${func.localName}] is ${sizeMB.toFixed(1)} MB unzipped`
+			);
+			if (sizeMB > maxUnzippedSizeMB) {
+				throw new this.serverless.classes.Error(
+					`serverless-lumigo: The artifact of function [${
+						func.localName
+					}] is ${sizeMB.toFixed(
+						1
+					)} MB unzipped, over the budget of ${maxUnzippedSizeMB} MB set by maxUnzippedSizeMB.`
+				);
 			}
 		}
 	}
 
-	async afterCreateDeploymentArtifacts() {
-		if (this.useLayers) {
-			const token = _.get(this.serverless.service, "custom.lumigo.token");
-			const { runtime, functions } = this.getFunctionsToWrap(
-				this.serverless.service
-			);
-
-			for (const func of functions) {
-				const funcRuntime = func.runtime || runtime;
-				func.layers = func.layers || [
-					...(this.serverless.service.provider.layers || [])
-				];
-				const layer = await this.getLayerArn(funcRuntime);
-				func.layers.push(layer);
-				func.environment = func.environment || {};
-				func.environment["LUMIGO_ORIGINAL_HANDLER"] = func.handler;
-				func.environment["LUMIGO_TRACER_TOKEN"] = token;
-
-				if (funcRuntime.startsWith("nodejs")) {
-					func.handler = "lumigo-auto-instrument.handler";
-				} else if (funcRuntime.startsWith("python")) {
-					func.handler = "/opt/python/lumigo_tracer._handler";
-				}
+	// the AWS::Lambda::Function resources of the template that are not
+	// declared under functions, e.g. in resources or by other plugins
+	getCloudFormationFunctions(
+		resources = _.get(
+			this.serverless.service,
+			"provider.compiledCloudFormationTemplate.Resources",
+			{}
+		)
+	) {
+		const rules = _.get(
+			this.serverless.service,
+			"custom.lumigo.cloudFormationFunctions"
+		);
+		if (!rules) {
+			return [];
+		}
 
-				// replace the function handler to the wrapped function
-				this.verboseLog(`adding Lumigo tracer layer to [${func.localName}]...`);
-				this.serverless.service.functions[func.localName].handler = func.handler;
-				this.serverless.service.functions[func.localName].environment =
-					func.environment;
-				this.serverless.service.functions[func.localName].layers = func.layers;
+		const stageSkipReason = this.getStageSkipReason();
+		if (stageSkipReason) {
+			this.verboseLog(`skipping the CloudFormation functions: ${stageSkipReason}`);
+			return [];
+		}
+		const { include = ["*"], exclude = [] } = _.isObjectLike(rules) ? rules : {};
+
+		const naming = this.serverless.getProvider("aws").naming;
+		const serviceFunctionIds = this.serverless.service
+			.getAllFunctions()
+			.map(localName => naming.getLambdaLogicalId(localName));
+
+		return Object.entries(resources)
+			.filter(
+				([logicalId, resource]) =>
+					resource.Type === "AWS::Lambda::Function" &&
+					!serviceFunctionIds.includes(logicalId) &&
+					include.some(pattern => matchesPattern(logicalId, pattern)) &&
+					!exclude.some(pattern => matchesPattern(logicalId, pattern))
+			)
+			.map(([logicalId, resource]) => ({ logicalId, resource }));
+	}
+
+	async instrumentCloudFormationFunctions() {
+		const config = _.get(this.serverless.service, "custom.lumigo", {});
+		for (const { logicalId, resource } of this.getCloudFormationFunctions()) {
+			const properties = resource.Properties || {};
+			if (!isSupportedCloudFormationFunction(resource)) {
+				this.log(
+					`unsupported runtime: [${JSON.stringify(
+						properties.Runtime
+					)}] for resource [${logicalId}], skipped...`
+				);
+				continue;
 			}
-			return;
+
+			const func = {
+				localName: logicalId,
+				runtime: properties.Runtime,
+				handler: properties.Handler,
+				architecture: _.get(properties, ["Architectures", 0]),
+				environment: _.get(properties, "Environment.Variables", {})
+			};
+			this.ensureTokenIsConfigured([func]);
+			const instrumentation = await this.getLayerInstrumentation(func, config);
+
+			this.verboseLog(`adding Lumigo tracer layer to resource [${logicalId}]...`);
+			this.validateLayers(`resource [${logicalId}]`, properties.Layers || []);
+			properties.Layers = [...(properties.Layers || []), ...instrumentation.layers];
+			properties.Handler = instrumentation.handler;
+			properties.Environment = Object.assign({}, properties.Environment, {
+				Variables: Object.assign(func.environment, instrumentation.environment)
+			});
+			resource.Properties = properties;
 		}
+	}
 
-		const { runtime, functions } = this.getFunctionsToWrap(this.serverless.service);
+	// why the function is not instrumented, or null if it is
+	getSkipReason(func) {
+		const { lumigo = {} } = func;
+		if (lumigo.enabled != undefined && lumigo.enabled !== true) {
+			return "disabled";
+		}
 
-		if (functions.length === 0) {
-			return;
+		const stageSkipReason = this.getStageSkipReason();
+		if (stageSkipReason) {
+			return stageSkipReason;
 		}
 
-		await this.cleanFolder();
+		const { includeFunctions, excludeFunctions = [] } = _.get(
+			this.serverless.service,
+			"custom.lumigo",
+			{}
+		);
+		if (
+			includeFunctions &&
+			!includeFunctions.some(pattern => this.matchesFunction(func, pattern))
+		) {
+			return "not matched by includeFunctions";
+		}
+		const excludedBy = excludeFunctions.find(pattern =>
+			this.matchesFunction(func, pattern)
+		);
+		if (excludedBy) {
+			return `matched by excludeFunctions [${excludedBy}]`;
+		}
+
+		// the configuration of the tracer in an image doesn't depend on its runtime
+		if (!isImageFunction(func) && !getRuntimeFamily(func.runtime)) {
+			this.log(
+				`unsupported runtime: [${func.runtime}] for function [${func.localName}], skipped...`
+			);
+			return `unsupported runtime [${func.runtime}]`;
+		}
+
+		if (this.getLumigoConfig(func).onConflict === ConflictResolutions.Skip) {
+			const conflicts = this.getConflicts(func);
+			if (conflicts.length > 0) {
+				return `also instrumented by ${conflicts.join(", ")}`;
+			}
+		}
+		return null;
+	}
 
-		if (runtime === "nodejs") {
-			const skipInstallNodeTracer = _.get(
+	// e.g. ["Datadog layer [arn:aws:lambda:us-east-1:464622532012:layer:Datadog-Node14-x:80]"]
+	getConflicts(func) {
+		const handler = isImageFunction(func)
+			? _.get(func, ["image", "command", 0])
+			: func.handler;
+		const layers =
+			func.layers || _.get(this.serverless.service, "provider.layers", []);
+		const execWrapper =
+			_.get(func, "environment.AWS_LAMBDA_EXEC_WRAPPER") ||
+			_.get(
 				this.serverless.service,
-				"custom.lumigo.skipInstallNodeTracer",
-				false
+				"provider.environment.AWS_LAMBDA_EXEC_WRAPPER"
 			);
-			if (!skipInstallNodeTracer) {
-				await this.uninstallLumigoNodejs();
+
+		const candidates = [
+			...layers.map(layer => ["layer", layer, vendor => vendor.layer.test(layer)]),
+			["handler", handler, vendor => isVendorHandler(handler, vendor.handlers)],
+			[
+				"exec wrapper",
+				execWrapper,
+				vendor => vendor.execWrappers.includes(execWrapper)
+			]
+		];
+		const conflicts = [];
+		for (const [kind, value, isUsedBy] of candidates) {
+			const vendor =
+				_.isString(value) &&
+				Object.keys(ObservabilityVendors).find(vendor =>
+					isUsedBy(ObservabilityVendors[vendor])
+				);
+			if (vendor) {
+				conflicts.push(`${vendor} ${kind} [${value}]`);
+			}
+		}
+		return conflicts;
+	}
+
+	// the functions with conflicts are already skipped when onConflict is skip
+	checkConflicts(functions) {
+		for (const func of functions) {
+			const conflicts = this.getConflicts(func);
+			if (conflicts.length === 0) {
+				continue;
+			}
+
+			const message = `function [${
+				func.localName
+			}] is also instrumented by ${conflicts.join(", ")}`;
+			const onConflict =
+				this.getLumigoConfig(func).onConflict || ConflictResolutions.Warn;
+			if (onConflict === ConflictResolutions.Error) {
+				throw new this.serverless.classes.Error(
+					`serverless-lumigo: ${message}. Remove the other instrumentation, or set onConflict to "warn" or "skip".`
+				);
+			} else if (!this.reportedConflicts.has(func.localName)) {
+				this.reportedConflicts.add(func.localName);
+				this.log(`WARNING: ${message}`);
 			}
 		}
 	}
 
+	// no function is instrumented in the stages that stages and excludeStages
+	// leave out
+	getStageSkipReason() {
+		const { stages, excludeStages = [] } = _.get(
+			this.serverless.service,
+			"custom.lumigo",
+			{}
+		);
+		const stage = this.serverless.getProvider("aws").getStage();
+		if (stages && !stages.some(pattern => matchesPattern(stage, pattern))) {
+			return `stage [${stage}] is not in stages`;
+		} else if (excludeStages.some(pattern => matchesPattern(stage, pattern))) {
+			return `stage [${stage}] is in excludeStages`;
+		}
+		return null;
+	}
+
+	// e.g. "api-*" matches the function's name, and "tag:team=payments" or
+	// "tag:team" its tags, which default to the provider's
+	matchesFunction(func, pattern) {
+		if (!pattern.startsWith("tag:")) {
+			return matchesPattern(func.localName, pattern);
+		}
+		const [key, valuePattern] = pattern.substr("tag:".length).split("=");
+		const tags = Object.assign(
+			{},
+			_.get(this.serverless.service, "provider.tags", {}),
+			func.tags
+		);
+		if (!_.has(tags, key)) {
+			return false;
+		}
+		return (
+			valuePattern === undefined || matchesPattern(String(tags[key]), valuePattern)
+		);
+	}
+
 	getFunctionsToWrap(service, functionNames) {
 		functionNames = functionNames || this.serverless.service.getAllFunctions();
 
-		const functions = service
+		const functions = [];
+		const skipped = [];
+		service
 			.getAllFunctions()
 			.filter(localName => functionNames.includes(localName))
-			.filter(localName => {
-				const { lumigo = {} } = this.serverless.service.getFunction(localName);
-				return lumigo.enabled == undefined || lumigo.enabled === true;
-			})
-			.map(localName => {
+			.forEach(localName => {
 				const x = _.cloneDeep(service.getFunction(localName));
 				x.localName = localName;
-				return x;
+				// functions can override the provider's runtime
+				x.runtime = x.runtime || service.provider.runtime;
+
+				const reason = this.getSkipReason(x);
+				if (reason) {
+					this.verboseLog(`[${localName}] skipped: ${reason}`);
+					skipped.push({ localName, reason });
+				} else {
+					functions.push(x);
+				}
 			});
 
-		if (service.provider.runtime.startsWith("nodejs")) {
-			return { runtime: "nodejs", functions };
-		} else if (service.provider.runtime.startsWith("python3")) {
-			return { runtime: "python", functions };
-		} else {
-			this.log(`unsupported runtime: [${service.provider.runtime}], skipped...`);
-			return { runtime: "unsupported", functions: [] };
+		return { functions, skipped };
+	}
+
+	// the @lumigo/tracer dependency the user declared and installed themselves
+	getInstalledNodeTracer() {
+		const packagePath = this.nodePackagePath;
+		const manifestPath = path.join(packagePath, "package.json");
+		const tracerManifestPath = path.join(
+			packagePath,
+			"node_modules",
+			"@lumigo",
+			"tracer",
+			"package.json"
+		);
+
+		// devDependencies are excluded from the deployment artifact
+		const manifest = fs.pathExistsSync(manifestPath)
+			? fs.readJsonSync(manifestPath)
+			: null;
+		const isDeclared = _.has(manifest, ["dependencies", "@lumigo/tracer"]);
+		const tracerManifest = fs.pathExistsSync(tracerManifestPath)
+			? fs.readJsonSync(tracerManifestPath)
+			: null;
+		return { isDeclared, version: _.get(tracerManifest, "version", null) };
+	}
+
+	isNodeTracerInstalled(pinVersion) {
+		const { isDeclared, version } = this.getInstalledNodeTracer();
+		this.verboseLog(
+			`@lumigo/tracer is ${
+				isDeclared ? "" : "not "
+			}declared, installed version [${version}]`
+		);
+		if (!isDeclared || !version) {
+			return false;
 		}
+		return !pinVersion || version === pinVersion;
+	}
+
+	isInPnpmWorkspace() {
+		const { root } = this.detectNodePackageManager();
+		return Boolean(root) && fs.pathExistsSync(path.join(root, "pnpm-workspace.yaml"));
 	}
 
+	// the tracer is installed into _lumigo/node_modules, where the wrappers
+	// resolve it first, so the project's manifest and lock file are untouched
 	async installLumigoNodejs(pinVersion) {
 		const finalVersion = pinVersion || "latest";
 		this.log(`installing @lumigo/tracer@${finalVersion}...`);
@@ -353,33 +1844,42 @@ class LumigoPlugin {
 			installCommand = `yarn add @lumigo/tracer@${finalVersion}`;
 		} else if (this.nodePackageManager === NodePackageManagers.PNPM) {
 			installCommand = `pnpm add @lumigo/tracer@${finalVersion}`;
+			// _lumigo is not one of the packages of the pnpm workspace
+			if (this.isInPnpmWorkspace()) {
+				installCommand += " --ignore-workspace";
+			}
 		} else {
 			throw new this.serverless.classes.Error(
 				"No Node.js package manager found. Please install either NPM, PNPM or Yarn."
 			);
 		}
 
-		const installDetails = childProcess.execSync(installCommand, "utf8");
+		// the wrappers in _lumigo are ES modules when nodeUseESModule is set
+		const manifest = { private: true };
+		if (this.nodeUseESModule) {
+			manifest.type = "module";
+		}
+		await fs.outputJson(path.join(this.folderPath, "package.json"), manifest);
+		if (this.nodePackageManager === NodePackageManagers.Yarn) {
+			await this.prepareYarnProject();
+		}
+
+		const installDetails = childProcess.execSync(installCommand, {
+			cwd: this.folderPath,
+			encoding: "utf8"
+		});
 		this.verboseLog(installDetails);
 	}
 
-	async uninstallLumigoNodejs() {
-		this.log("uninstalling @lumigo/tracer...");
-		let uninstallCommand;
-		if (this.nodePackageManager === NodePackageManagers.NPM) {
-			uninstallCommand = "npm uninstall @lumigo/tracer";
-		} else if (this.nodePackageManager === NodePackageManagers.Yarn) {
-			uninstallCommand = "yarn remove @lumigo/tracer";
-		} else if (this.nodePackageManager === NodePackageManagers.PNPM) {
-			uninstallCommand = "pnpm remove @lumigo/tracer";
-		} else {
-			throw new this.serverless.classes.Error(
-				"No Node.js package manager found. Please install either NPM, PNPM or Yarn."
-			);
-		}
-
-		const uninstallDetails = childProcess.execSync(uninstallCommand, "utf8");
-		this.verboseLog(uninstallDetails);
+	// Yarn 2+ only installs into the project of the nearest yarn.lock, and with
+	// Plug'n'Play by default, so _lumigo is made a project of its own that
+	// installs into node_modules. Yarn 1 ignores both files
+	async prepareYarnProject() {
+		await fs.outputFile(path.join(this.folderPath, "yarn.lock"), "");
+		await fs.outputFile(
+			path.join(this.folderPath, ".yarnrc.yml"),
+			YarnBerryConfiguration
+		);
 	}
 
 	async getPythonPluginConfiguration() {
@@ -392,7 +1892,7 @@ class LumigoPlugin {
 		return { isZip };
 	}
 
-	async ensureLumigoPythonIsInstalled() {
+	async ensureLumigoPythonIsInstalled(functions) {
 		this.log("checking if lumigo_tracer is installed...");
 
 		const pluginsSection = _.get(this.serverless.service, "plugins", []);
@@ -433,8 +1933,6 @@ Consider using the serverless-python-requirements plugin to help you package Pyt
 			this.log(
 				"functions are packed individually, ensuring each function has a requirement.txt..."
 			);
-			const { functions } = this.getFunctionsToWrap(this.serverless.service);
-
 			for (const fn of functions) {
 				// functions/hello.world.handler -> functions
 				const dir = path.dirname(fn.handler);
@@ -460,40 +1958,122 @@ Consider using the serverless-python-requirements plugin to help you package Pyt
 		}
 	}
 
-	getTracerParameters(
-		token,
-		options,
-		equalityToken = ":",
-		trueValue = "true",
-		falseValue = "false"
-	) {
-		if (token === undefined) {
-			throw new this.serverless.classes.Error("Lumigo's tracer token is undefined");
+	// the tracer options of the configuration, coerced to their types
+	getTracerOptions(config) {
+		const options = {};
+		for (const [key, value] of Object.entries(_.omit(config, PluginOptions))) {
+			const types = TracerOptions[key];
+			if (!types) {
+				if (!this.unknownTracerOptions.has(key)) {
+					this.unknownTracerOptions.add(key);
+					this.log(
+						`WARNING: [${key}] is not a known tracer option, and is ignored`
+					);
+				}
+				continue;
+			}
+			options[key] = this.coerceTracerOption(key, value, types);
 		}
-		let configuration = [];
-		options = _.omit(options, [
-			"nodePackageManager",
-			"nodeUseESModule",
-			"nodeModuleFileExtension"
-		]);
-		for (const [key, value] of Object.entries(options)) {
-			if (String(value).toLowerCase() === "true") {
-				configuration.push(`${key}${equalityToken}${trueValue}`);
-			} else if (String(value).toLowerCase() === "false") {
-				configuration.push(`${key}${equalityToken}${falseValue}`);
-			} else {
-				configuration.push(`${key}${equalityToken}'${value}'`);
+		return options;
+	}
+
+	// e.g. "true" -> true for booleans, as values from ${env:...} are strings
+	coerceTracerOption(key, value, types) {
+		const text = String(value).trim();
+		for (const type of types) {
+			if (type === "boolean" && ["true", "false"].includes(text.toLowerCase())) {
+				return text.toLowerCase() === "true";
+			} else if (
+				type === "number" &&
+				(_.isNumber(value) || _.isString(value)) &&
+				text !== "" &&
+				_.isFinite(Number(text))
+			) {
+				return Number(text);
+			} else if (type === "string" && (_.isString(value) || _.isFinite(value))) {
+				return String(value);
+			} else if (type === "array" && Array.isArray(value)) {
+				return value;
+			} else if (type === "object" && _.isPlainObject(value)) {
+				return value;
+			}
+		}
+		throw new this.serverless.classes.Error(
+			`serverless-lumigo: The tracer option [${key}] must be ${types
+				.map(type => TracerOptionTypeNames[type])
+				.join(" or ")}, but it is [${JSON.stringify(value)}].`
+		);
+	}
+
+	// the options that the wrapper passes to the tracer, by their names in the
+	// tracer of the language, while a token that is not in plaintext is read
+	// from the environment
+	getWrapperTracerOptions(config, language) {
+		const options = _.omit(
+			this.getTracerOptions(config),
+			EnvironmentOnlyTracerOptions
+		);
+		if (this.getTokenReference(config)) {
+			delete options.token;
+		}
+		for (const key of _.intersection(
+			Object.keys(options),
+			language.unsupportedOptions
+		)) {
+			delete options[key];
+			if (!this.unsupportedWrapperOptions.has(key)) {
+				this.unsupportedWrapperOptions.add(key);
+				this.log(
+					`WARNING: the tracer option [${key}] is only supported by the Node.js tracer, and is ignored for Python`
+				);
 			}
 		}
+		return _.mapKeys(options, (value, key) => language.optionNames[key] || key);
+	}
+
+	getTracerParameters(token, options, language) {
+		let configuration = [];
+		if (this.getTokenReference(options)) {
+			configuration.push(
+				`token${language.equalityToken}${language.tokenFromEnvironment}`
+			);
+		} else if (token === undefined) {
+			throw new this.serverless.classes.Error("Lumigo's tracer token is undefined");
+		}
+		for (const [key, value] of Object.entries(
+			this.getWrapperTracerOptions(options, language)
+		)) {
+			configuration.push(
+				`${key}${language.equalityToken}${toLiteral(value, language)}`
+			);
+		}
 		return configuration.join(",");
 	}
 
 	getNodeTracerParameters(token, options) {
-		return this.getTracerParameters(token, options, ":", "true", "false");
+		return this.getTracerParameters(token, options, WrapperLanguages.nodejs);
 	}
 
 	getPythonTracerParameters(token, options) {
-		return this.getTracerParameters(token, options, "=", "True", "False");
+		return this.getTracerParameters(token, options, WrapperLanguages.python);
+	}
+
+	// the handler of the wrapper function that createWrappedNodejsFunction and
+	// createWrappedPythonFunction write for the given function
+	getWrapperHandler(func) {
+		// e.g. functions/hello.world.handler -> handler
+		const handlerFuncName = func.handler.substr(func.handler.lastIndexOf(".") + 1);
+		// e.g. hello.world -> /Users/username/source/project/_lumigo/hello.world
+		const filePath = path.join(this.folderPath, func.localName);
+
+		// convert from abs path to relative path, e.g.
+		// /Users/username/source/project/_lumigo/hello.world -> _lumigo/hello.world
+		// Make sure to support windows paths
+		const newFilePath = path
+			.relative(this.serverless.config.servicePath, filePath)
+			.replace("\\", "/");
+		// e.g. _lumigo/hello.world -> _lumigo/hello.world.handler
+		return `${newFilePath}.${handlerFuncName}`;
 	}
 
 	async createWrappedNodejsFunction(func, token, options) {
@@ -512,9 +2092,18 @@ Consider using the serverless-python-requirements plugin to help you package Pyt
 		// too shorten the file extension ref for prettier during test:all
 		const fileExt = this.nodeModuleFileExtension;
 
+		const typeScript = this.getTypeScriptHandler(func);
+		// e.g. src/hello.ts compiled by tsc to dist/hello
+		const modulePath = typeScript ? typeScript.modulePath : handlerModulePath;
+		if (typeScript && typeScript.isCompiled) {
+			this.verboseLog(
+				`[${localName}]'s handler is loaded from the TypeScript output [${modulePath}]...`
+			);
+		}
+
 		const wrappedESMFunction = `
 import lumigo from '@lumigo/tracer'
-import {${handlerFuncName} as originalHandler} from '../${handlerModulePath}.${fileExt}'
+import {${handlerFuncName} as originalHandler} from '../${modulePath}.${fileExt}'
 const tracer = lumigo({ ${this.getNodeTracerParameters(token, options)} })
 
 export const ${handlerFuncName} = tracer.trace(originalHandler);`;
@@ -523,28 +2112,37 @@ export const ${handlerFuncName} = tracer.trace(originalHandler);`;
 const tracer = require("@lumigo/tracer")({
 	${this.getNodeTracerParameters(token, options)}
 });
-const handler = require('../${handlerModulePath}').${handlerFuncName};
+const handler = require('../${modulePath}').${handlerFuncName};
 
 module.exports.${handlerFuncName} = tracer.trace(handler);`;
 
-		const wrappedFunction = this.nodeUseESModule
+		// the handler is imported for tsc to compile it along with the wrapper,
+		// which is left unchecked against the project's compiler options
+		const wrappedTSFunction = `// @ts-nocheck
+import {${handlerFuncName} as originalHandler} from '../${modulePath}'
+const tracer = require("@lumigo/tracer")({
+	${this.getNodeTracerParameters(token, options)}
+});
+
+export const ${handlerFuncName} = tracer.trace(originalHandler);`;
+
+		const isTypeScriptWrapper = typeScript && !typeScript.isCompiled;
+		let wrappedFunction = this.nodeUseESModule
 			? wrappedESMFunction
 			: wrappedCJSFunction;
+		if (isTypeScriptWrapper) {
+			wrappedFunction = this.nodeUseESModule
+				? `// @ts-nocheck${wrappedESMFunction}`
+				: wrappedTSFunction;
+		}
 
-		const fileName = localName + ".js";
+		const fileName = localName + (isTypeScriptWrapper ? ".ts" : ".js");
 		// e.g. hello.world.js -> /Users/username/source/project/_lumigo/hello.world.js
 		const filePath = path.join(this.folderPath, fileName);
 		this.verboseLog(`writing wrapper function to [${filePath}]...`);
 		await fs.outputFile(filePath, wrappedFunction);
 
-		// convert from abs path to relative path, e.g.
-		// /Users/username/source/project/_lumigo/hello.world.js -> _lumigo/hello.world.js
-		// Make sure to support windows paths
-		const newFilePath = path
-			.relative(this.serverless.config.servicePath, filePath)
-			.replace("\\", "/");
-		// e.g. _lumigo/hello.world.js -> _lumigo/hello.world.handler
-		return newFilePath.substr(0, newFilePath.lastIndexOf(".") + 1) + handlerFuncName;
+		return this.getWrapperHandler(func);
 	}
 
 	async createWrappedPythonFunction(func, token, options, isZip) {
@@ -574,6 +2172,7 @@ except ImportError:
 		const wrappedFunction = `
 ${addZipConstruct}
 import importlib
+import os
 from lumigo_tracer import lumigo_tracer
 userHandler = getattr(importlib.import_module("${handlerModulePath}"), "${handlerFuncName}")
 
@@ -588,16 +2187,64 @@ def ${handlerFuncName}(event, context):
 		this.verboseLog(`writing wrapper function to [${filePath}]...`);
 		await fs.outputFile(filePath, wrappedFunction);
 
-		// convert from abs path to relative path, e.g.
-		// /Users/username/source/project/_lumigo/hello.world.py -> _lumigo/hello.world.py
-		const newFilePath = path.relative(this.serverless.config.servicePath, filePath);
-		// e.g. _lumigo/hello.world.py -> _lumigo/hello.world.handler
-		return newFilePath.substr(0, newFilePath.lastIndexOf(".") + 1) + handlerFuncName;
+		return this.getWrapperHandler(func);
 	}
 
 	async cleanFolder() {
 		this.verboseLog(`removing the temporary folder [${this.folderPath}]...`);
-		return fs.remove(this.folderPath);
+		await fs.remove(this.folderPath);
+		await fs.remove(this.stateFilePath);
+		PendingCleanups.delete(this);
+	}
+
+	// the wrappers and the tracer installation are all in _lumigo
+	async recordChanges() {
+		const state = {
+			paths: [LumigoFolder]
+		};
+		this.verboseLog(
+			`recording the changes to the working tree in [${StateFileName}]...`
+		);
+		await fs.outputJson(this.stateFilePath, state, { spaces: 2 });
+		registerPendingCleanup(this);
+	}
+
+	readState() {
+		if (!fs.pathExistsSync(this.stateFilePath)) {
+			return { paths: [] };
+		}
+		return fs.readJsonSync(this.stateFilePath) || { paths: [] };
+	}
+
+	// synchronous, as it also runs in the process' exit handler
+	undoChangesSync() {
+		const { paths } = this.readState();
+		for (const changedPath of paths) {
+			fs.removeSync(path.resolve(this.serverless.config.servicePath, changedPath));
+		}
+		fs.removeSync(this.stateFilePath);
+		PendingCleanups.delete(this);
+	}
+
+	// restores a working tree left dirty by a run that could not clean up,
+	// e.g. because it was killed
+	async cleanWorkingTree() {
+		const { paths } = this.readState();
+		const changedPaths = _.uniq([...paths, LumigoFolder]).filter(changedPath =>
+			fs.pathExistsSync(
+				path.resolve(this.serverless.config.servicePath, changedPath)
+			)
+		);
+		for (const changedPath of changedPaths) {
+			this.log(`removing [${changedPath}]...`);
+			await fs.remove(
+				path.resolve(this.serverless.config.servicePath, changedPath)
+			);
+		}
+		await fs.remove(this.stateFilePath);
+		if (changedPaths.length === 0) {
+			this.log("there is nothing to clean up");
+		}
 	}
 }
 
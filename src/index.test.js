@@ -1,13 +1,60 @@
 const fs = require("fs-extra");
+const http = require("axios");
 const childProcess = require("child_process");
 const Serverless = require("serverless/lib/serverless");
 const AwsProvider = require("serverless/lib/plugins/aws/provider");
 
 jest.mock("fs-extra");
+jest.mock("axios");
 jest.mock("child_process");
+jest.mock("./layers.json", () => ({
+	layers: {
+		"us-east-1": {
+			nodejs: {
+				x86_64:
+					"arn:aws:lambda:us-east-1:114300393969:layer:lumigo-node-tracer:200"
+			}
+		}
+	}
+}));
 
 const token = "test-token";
 const edgeHost = "edge-host";
+const installOptions = { cwd: __dirname + "/_lumigo", encoding: "utf8" };
+
+const layersMarkdown = layerName => `
+|Region|ARN|
+|---|---|
+|us-east-1|arn:aws:lambda:us-east-1:114300393969:layer:${layerName}:231|
+|eu-west-1|arn:aws:lambda:eu-west-1:114300393969:layer:${layerName}:230|
+|ap-south-1|arn:aws:lambda:ap-south-1:114300393969:layer:${layerName}:229|
+`;
+
+// the original handlers of the functions, for the pre-flight check of the wrappers
+const nodeHandlerSource = `
+module.exports.world = async () => {};
+module.exports.handler = async () => {};
+`;
+const pythonHandlerSource = `
+def world(event, context):
+  return {}
+
+def handler(event, context):
+  return {}
+`;
+
+// the only files of the service, by their paths relative to it
+const givenFiles = files => {
+	fs.readFileSync.mockImplementation(file => {
+		const contents = files[file.replace(`${__dirname}/`, "")];
+		if (contents === undefined) {
+			const error = new Error(`ENOENT: no such file or directory, open '${file}'`);
+			error.code = "ENOENT";
+			throw error;
+		}
+		return contents;
+	});
+};
 
 expect.extend({
 	toContainAllStrings(received, ...strings) {
@@ -74,6 +121,14 @@ beforeEach(() => {
 	};
 	serverless.config.servicePath = __dirname;
 	childProcess.execSync.mockImplementation(() => "");
+	fs.readFileSync.mockImplementation(file =>
+		file.endsWith(".py") ? pythonHandlerSource : nodeHandlerSource
+	);
+	http.get.mockImplementation(async url => ({
+		data: url.includes("lumigo-node")
+			? layersMarkdown("lumigo-node-tracer")
+			: layersMarkdown("lumigo-python-tracer")
+	}));
 	const LumigoPlugin = require("./index");
 	lumigo = new LumigoPlugin(serverless, options);
 	delete process.env.SLS_DEBUG;
@@ -99,6 +154,82 @@ describe("Invalid plugin configuration", () => {
 	});
 });
 
+describe("Configuration schema", () => {
+	const validate = async (lumigoConfig, functionConfig) => {
+		// the function schema is only defined for the aws provider
+		serverless = new Serverless({ commands: [], options });
+		serverless.service.provider.name = "aws";
+		serverless.setProvider("aws", new AwsProvider(serverless));
+		serverless.config.servicePath = __dirname;
+		const LumigoPlugin = require("./index");
+		new LumigoPlugin(serverless, options);
+
+		serverless.service.configValidationMode = "error";
+		serverless.configurationInput = {
+			service: "lumigo-test",
+			provider: { name: "aws", runtime: "nodejs14.x" },
+			custom: { lumigo: lumigoConfig },
+			functions: {
+				hello: { handler: "hello.world", lumigo: functionConfig }
+			}
+		};
+		await serverless.configSchemaHandler.validateConfig(
+			serverless.configurationInput
+		);
+	};
+
+	test("a valid configuration passes", async () => {
+		await validate(
+			{
+				token,
+				useLayers: true,
+				nodePackageManager: "pnpm",
+				nodeLayerVersion: 87,
+				pythonLayerVersion: "42",
+				pinVersion: "1.80.1",
+				layerResolution: "lock",
+				cloudFormationFunctions: { include: ["Custom*"] },
+				excludeStages: ["dev"],
+				step_function: "true",
+				max_entry_size: 2048,
+				secretMaskingRegex: [".*secret.*"]
+			},
+			{ enabled: false, debug: true, onConflict: "skip" }
+		);
+	});
+
+	test.each([
+		[{ uselayers: true }, "unrecognized property 'uselayers'"],
+		[{ nodePackageManager: "bun" }, "nodePackageManager"],
+		[{ pinVersion: "latest" }, "pinVersion"],
+		[{ nodeLayerVersion: "v87" }, "nodeLayerVersion"],
+		[{ debug: "yes" }, "debug"],
+		[{ cloudFormationFunctions: { includes: ["*"] } }, "cloudFormationFunctions"]
+	])("custom.lumigo %j is invalid", async (lumigoConfig, message) => {
+		await expect(validate(Object.assign({ token }, lumigoConfig))).rejects.toThrow(
+			message
+		);
+	});
+
+	test.each([
+		[{ stages: ["prod"] }, "stages"],
+		[{ pinVersion: "1.80.1" }, "pinVersion"],
+		[{ skipInstallNodeTracer: true }, "skipInstallNodeTracer"],
+		[{ skipReqCheck: true }, "skipReqCheck"],
+		[{ nodeUseESModule: true }, "nodeUseESModule"],
+		[{ nodeModuleFileExtension: "mjs" }, "nodeModuleFileExtension"],
+		[{ nodePackageManager: "yarn" }, "nodePackageManager"],
+		[{ nodeWorkspacePackage: "../api" }, "nodeWorkspacePackage"]
+	])(
+		"the functions can't set the service-level option %j",
+		async (functionConfig, key) => {
+			await expect(validate({ token }, functionConfig)).rejects.toThrow(
+				`unrecognized property '${key}'`
+			);
+		}
+	);
+});
+
 describe("Old serverless compatibility", () => {
 	test("Schema validation", async () => {
 		// This is the case in serverless version 1.83.3
@@ -108,7 +239,7 @@ describe("Old serverless compatibility", () => {
 });
 
 describe("Lumigo plugin (node.js)", () => {
-	const runtimes = [["nodejs14.x"], ["nodejs12.x"], ["nodejs10.x"]];
+	const runtimes = [["nodejs16.x"], ["nodejs14.x"], ["nodejs12.x"]];
 	describe.each(runtimes)("when using runtime %s", runtime => {
 		beforeEach(() => {
 			serverless.service.provider.runtime = runtime;
@@ -142,6 +273,17 @@ describe("Lumigo plugin (node.js)", () => {
 					await lumigo.afterPackageInitialize();
 					assertNodejsFunctionsAreWrappedES();
 				});
+
+				test("the tracer is installed as an ES module dependency", async () => {
+					await lumigo.afterPackageInitialize();
+					expect(fs.outputJson).toBeCalledWith(
+						__dirname + "/_lumigo/package.json",
+						{
+							private: true,
+							type: "module"
+						}
+					);
+				});
 			});
 
 			describe("when nodeModuleFileExtension is mjs", () => {
@@ -183,6 +325,21 @@ describe("Lumigo plugin (node.js)", () => {
 				await lumigo.afterPackageInitialize();
 				assertNodejsFunctionsAreWrappedCJS();
 			});
+
+			test("the tracer is installed into _lumigo/node_modules", async () => {
+				await lumigo.afterPackageInitialize();
+				expect(fs.outputJson).toBeCalledWith(
+					__dirname + "/_lumigo/package.json",
+					{
+						private: true
+					}
+				);
+				expect(childProcess.execSync).toBeCalledTimes(1);
+				expect(childProcess.execSync).toBeCalledWith(
+					"npm install @lumigo/tracer@latest",
+					installOptions
+				);
+			});
 		});
 
 		test("it should clean up after deployment artifact is created", async () => {
@@ -213,12 +370,19 @@ describe("Lumigo plugin (node.js)", () => {
 				};
 			});
 
-			test("if package.include is not set, it's initialized with _lumigo/*", async () => {
+			test("each function's package.patterns gets only its own wrapper", async () => {
 				await lumigo.afterPackageInitialize();
-				assertLumigoIsIncluded();
+
+				expect(serverless.service.functions.hello.package.patterns).toEqual([
+					"!_lumigo/**",
+					"_lumigo/hello.js",
+					"_lumigo/package.json",
+					"_lumigo/node_modules/**"
+				]);
+				expect(serverless.service.package.patterns).toBeUndefined();
 			});
 
-			test("if package.include is set, it adds _lumigo/* to the array", async () => {
+			test("if a function's package.include is set, the wrapper is added to it", async () => {
 				Object.values(serverless.service.functions).forEach(fun => {
 					fun.package = {
 						include: ["node_modules/**/*"]
@@ -226,7 +390,15 @@ describe("Lumigo plugin (node.js)", () => {
 				});
 
 				await lumigo.afterPackageInitialize();
-				assertLumigoIsIncluded();
+				expect(serverless.service.functions.hello.package).toEqual({
+					include: [
+						"node_modules/**/*",
+						"!_lumigo/**",
+						"_lumigo/hello.js",
+						"_lumigo/package.json",
+						"_lumigo/node_modules/**"
+					]
+				});
 			});
 		});
 
@@ -255,26 +427,43 @@ describe("Lumigo plugin (node.js)", () => {
 
 				expect(childProcess.execSync).toBeCalledWith(
 					"yarn add @lumigo/tracer@latest",
-					"utf8"
+					installOptions
 				);
 			});
 
-			test("it should uninstall with Yarn", async () => {
-				await lumigo.afterCreateDeploymentArtifacts();
+			test("_lumigo is a Yarn 2+ project that installs into node_modules", async () => {
+				await lumigo.afterPackageInitialize();
 
-				expect(childProcess.execSync).toBeCalledWith(
-					"yarn remove @lumigo/tracer",
-					"utf8"
+				expect(fs.outputFile).toBeCalledWith(
+					__dirname + "/_lumigo/yarn.lock",
+					""
+				);
+				expect(fs.outputFile).toBeCalledWith(
+					__dirname + "/_lumigo/.yarnrc.yml",
+					expect.toContainAllStrings(
+						"nodeLinker: node-modules",
+						"enableImmutableInstalls: false"
+					)
+				);
+				// before yarn add looks for the nearest project
+				expect(fs.outputFile.mock.invocationCallOrder[0]).toBeLessThan(
+					childProcess.execSync.mock.invocationCallOrder[0]
 				);
 			});
 
+			test("it should not uninstall with Yarn", async () => {
+				await lumigo.afterCreateDeploymentArtifacts();
+
+				assertNodejsFunctionsAreCleanedUp();
+			});
+
 			test("Pin version", async () => {
 				serverless.service.custom.lumigo.pinVersion = "1.0.3";
 				await lumigo.afterPackageInitialize();
 
 				expect(childProcess.execSync).toBeCalledWith(
 					"yarn add @lumigo/tracer@1.0.3",
-					"utf8"
+					installOptions
 				);
 			});
 		});
@@ -289,17 +478,14 @@ describe("Lumigo plugin (node.js)", () => {
 
 				expect(childProcess.execSync).toBeCalledWith(
 					"pnpm add @lumigo/tracer@latest",
-					"utf8"
+					installOptions
 				);
 			});
 
-			test("it should uninstall with PNPM", async () => {
+			test("it should not uninstall with PNPM", async () => {
 				await lumigo.afterCreateDeploymentArtifacts();
 
-				expect(childProcess.execSync).toBeCalledWith(
-					"pnpm remove @lumigo/tracer",
-					"utf8"
-				);
+				assertNodejsFunctionsAreCleanedUp();
 			});
 
 			test("Pin version", async () => {
@@ -308,7 +494,7 @@ describe("Lumigo plugin (node.js)", () => {
 
 				expect(childProcess.execSync).toBeCalledWith(
 					"pnpm add @lumigo/tracer@1.0.3",
-					"utf8"
+					installOptions
 				);
 			});
 		});
@@ -324,7 +510,7 @@ describe("Lumigo plugin (node.js)", () => {
 
 				expect(childProcess.execSync).toBeCalledWith(
 					"npm install @lumigo/tracer@1.0.3",
-					"utf8"
+					installOptions
 				);
 			});
 		});
@@ -340,10 +526,10 @@ describe("Lumigo plugin (node.js)", () => {
 				);
 			});
 
-			test("it should error on uninstall", async () => {
-				await expect(lumigo.afterCreateDeploymentArtifacts()).rejects.toThrow(
-					"No Node.js package manager found. Please install either NPM, PNPM or Yarn"
-				);
+			test("it should not uninstall anything", async () => {
+				await lumigo.afterCreateDeploymentArtifacts();
+
+				assertNodejsFunctionsAreCleanedUp();
 			});
 		});
 
@@ -375,17 +561,14 @@ describe("Lumigo plugin (node.js)", () => {
 
 				expect(childProcess.execSync).not.toBeCalledWith(
 					"npm install @lumigo/tracer@latest",
-					"utf8"
+					installOptions
 				);
 			});
 
 			test("it should not uninstall Node tracer", async () => {
 				await lumigo.afterCreateDeploymentArtifacts();
 
-				expect(childProcess.execSync).not.toBeCalledWith(
-					"npm uninstall @lumigo/tracer",
-					"utf8"
-				);
+				assertNodejsFunctionsAreCleanedUp();
 			});
 		});
 
@@ -428,7 +611,7 @@ describe("Lumigo plugin (node.js)", () => {
 
 				expect(childProcess.execSync).not.toBeCalledWith(
 					"npm install @lumigo/tracer",
-					"utf8"
+					installOptions
 				);
 			});
 
@@ -437,7 +620,7 @@ describe("Lumigo plugin (node.js)", () => {
 
 				expect(childProcess.execSync).not.toBeCalledWith(
 					"npm install @lumigo/tracer",
-					"utf8"
+					installOptions
 				);
 			});
 
@@ -798,12 +981,17 @@ lumigo_tracer`);
 				});
 			});
 
-			test("if package.include is not set, it's initialized with _lumigo/*", async () => {
+			test("each function's package.patterns gets only its own wrapper", async () => {
 				await lumigo.afterPackageInitialize();
-				assertLumigoIsIncluded();
+
+				expect(serverless.service.functions.hello.package.patterns).toEqual([
+					"!_lumigo/**",
+					"_lumigo/hello.py"
+				]);
+				expect(serverless.service.package.patterns).toBeUndefined();
 			});
 
-			test("if package.include is set, it adds _lumigo/* to the array", async () => {
+			test("if a function's package.include is set, the wrapper is added to it", async () => {
 				Object.values(serverless.service.functions).forEach(fun => {
 					fun.package = {
 						include: ["functions/**/*"]
@@ -811,7 +999,9 @@ lumigo_tracer`);
 				});
 
 				await lumigo.afterPackageInitialize();
-				assertLumigoIsIncluded();
+				expect(serverless.service.functions.hello.package).toEqual({
+					include: ["functions/**/*", "!_lumigo/**", "_lumigo/hello.py"]
+				});
 			});
 		});
 
@@ -838,6 +1028,2467 @@ lumigo_tracer`);
 	});
 });
 
+describe("Layer resolution", () => {
+	beforeEach(() => {
+		serverless.service.custom.lumigo.useLayers = true;
+		serverless.service.functions = {
+			api: {
+				handler: "api.handler",
+				runtime: "nodejs14.x"
+			},
+			job: {
+				handler: "job.handler",
+				runtime: "python3.10"
+			}
+		};
+	});
+
+	test("it should resolve the layers of the deployment region", async () => {
+		serverless.service.provider.region = "eu-west-1";
+		await lumigo.afterCreateDeploymentArtifacts();
+
+		const functions = serverless.service.functions;
+		expect(functions.api.layers).toEqual([
+			"arn:aws:lambda:eu-west-1:114300393969:layer:lumigo-node-tracer:230"
+		]);
+		expect(functions.job.layers).toEqual([
+			"arn:aws:lambda:eu-west-1:114300393969:layer:lumigo-python-tracer:230"
+		]);
+	});
+
+	test("it should cache the resolved layers per region and architecture", async () => {
+		serverless.service.provider.region = "ap-south-1";
+		serverless.service.functions = {
+			api: { handler: "api.handler", runtime: "nodejs14.x" },
+			other: { handler: "other.handler", runtime: "nodejs16.x" },
+			arm: { handler: "arm.handler", runtime: "nodejs16.x", architecture: "arm64" }
+		};
+		await lumigo.afterCreateDeploymentArtifacts();
+
+		expect(http.get).toBeCalledTimes(2);
+		expect(serverless.service.functions.arm.layers).toEqual([
+			"arn:aws:lambda:ap-south-1:114300393969:layer:lumigo-node-tracer:229"
+		]);
+	});
+
+	test("it should use the architecture of the provider", async () => {
+		serverless.service.provider.architecture = "arm64";
+		await lumigo.afterCreateDeploymentArtifacts();
+
+		expect(serverless.service.functions.api.layers).toEqual([
+			"arn:aws:lambda:us-east-1:114300393969:layer:lumigo-node-tracer:231"
+		]);
+	});
+
+	test("it should fail when the region has no published layer", async () => {
+		serverless.service.provider.region = "me-south-1";
+		await expect(lumigo.afterCreateDeploymentArtifacts()).rejects.toThrow(
+			"There is no published lumigo-node-tracer layer in region [me-south-1]"
+		);
+	});
+
+	test("it should fail when the runtime has no published layer", async () => {
+		serverless.service.functions.job.runtime = "python3.6";
+		serverless.service.custom.lumigo.pythonLayerVersion = 87;
+		await expect(lumigo.afterCreateDeploymentArtifacts()).rejects.toThrow(
+			"There is no published Lumigo layer for function [job] with runtime [python3.6] and architecture [x86_64]"
+		);
+	});
+
+	test("it should fail when the Node.js runtime has no published layer", async () => {
+		serverless.service.functions.api.runtime = "nodejs10.x";
+		await expect(lumigo.afterCreateDeploymentArtifacts()).rejects.toThrow(
+			"There is no published Lumigo layer for function [api] with runtime [nodejs10.x] and architecture [x86_64]"
+		);
+	});
+
+	test("it should fail when the architecture has no published layer", async () => {
+		serverless.service.functions.api.architecture = "sparc";
+		await expect(lumigo.afterCreateDeploymentArtifacts()).rejects.toThrow(
+			"There is no published Lumigo layer for function [api] with runtime [nodejs14.x] and architecture [sparc]"
+		);
+	});
+});
+
+describe("Offline layer resolution", () => {
+	const lockFilePath = __dirname + "/lumigo.lock.json";
+	const lockedArn =
+		"arn:aws:lambda:us-east-1:114300393969:layer:lumigo-node-tracer:150";
+
+	beforeEach(() => {
+		serverless.service.provider.runtime = "nodejs14.x";
+		serverless.service.custom.lumigo.useLayers = true;
+		serverless.service.functions = {
+			api: { handler: "api.handler" }
+		};
+	});
+
+	describe("given a lock file", () => {
+		beforeEach(() => {
+			fs.pathExistsSync.mockImplementation(file => file === lockFilePath);
+			fs.readJsonSync.mockReturnValue({
+				layers: { "us-east-1": { nodejs: { x86_64: lockedArn } } }
+			});
+		});
+
+		test("it should use the locked layer", async () => {
+			await lumigo.afterCreateDeploymentArtifacts();
+
+			expect(fs.readJsonSync).toBeCalledWith(lockFilePath);
+			expect(http.get).not.toBeCalled();
+			expect(serverless.service.functions.api.layers).toEqual([lockedArn]);
+		});
+
+		test("a pinned layer version takes precedence", async () => {
+			serverless.service.custom.lumigo.nodeLayerVersion = 87;
+			await lumigo.afterCreateDeploymentArtifacts();
+
+			expect(serverless.service.functions.api.layers).toEqual([
+				"arn:aws:lambda:us-east-1:114300393969:layer:lumigo-node-tracer:87"
+			]);
+		});
+
+		test("when resolving from the lock, a missing layer fails", async () => {
+			serverless.service.custom.lumigo.layerResolution = "lock";
+			serverless.service.provider.region = "eu-west-1";
+			await expect(lumigo.afterCreateDeploymentArtifacts()).rejects.toThrow(
+				"lumigo.lock.json has no lumigo-node-tracer layer for region [eu-west-1] and architecture [x86_64] (function [api])"
+			);
+			expect(http.get).not.toBeCalled();
+		});
+
+		test("'serverless lumigo lock' refreshes the layers of the region", async () => {
+			serverless.service.provider.region = "eu-west-1";
+			serverless.service.functions.job = {
+				handler: "job.handler",
+				runtime: "python3.10"
+			};
+			serverless.service.functions.other = { handler: "other.handler" };
+			await lumigo.refreshLockFile();
+
+			expect(http.get).toBeCalledTimes(2);
+			expect(fs.writeJson).toBeCalledWith(
+				lockFilePath,
+				{
+					layers: {
+						"us-east-1": { nodejs: { x86_64: lockedArn } },
+						"eu-west-1": {
+							nodejs: {
+								x86_64:
+									"arn:aws:lambda:eu-west-1:114300393969:layer:lumigo-node-tracer:230"
+							},
+							python: {
+								x86_64:
+									"arn:aws:lambda:eu-west-1:114300393969:layer:lumigo-python-tracer:230"
+							}
+						}
+					}
+				},
+				{ spaces: 2 }
+			);
+		});
+
+		test("'serverless lumigo lock' only locks the layers in use", async () => {
+			serverless.service.custom.lumigo.useLayers = false;
+			serverless.service.custom.lumigo.cloudFormationFunctions = true;
+			serverless.service.functions = {
+				wrapped: { handler: "wrapped.handler", runtime: "python3.10" },
+				image: { image: "123456789012.dkr.ecr.us-east-1.amazonaws.com/app:1" },
+				layered: {
+					handler: "layered.handler",
+					architecture: "arm64",
+					lumigo: { useLayers: true }
+				}
+			};
+			serverless.service.resources = {
+				Resources: {
+					Custom: {
+						Type: "AWS::Lambda::Function",
+						Properties: { Handler: "index.handler", Runtime: "python3.9" }
+					},
+					Java: {
+						Type: "AWS::Lambda::Function",
+						Properties: { Handler: "com.example.Handler", Runtime: "java11" }
+					}
+				}
+			};
+			await lumigo.refreshLockFile();
+
+			expect(http.get).toBeCalledTimes(2);
+			expect(fs.writeJson).toBeCalledWith(
+				lockFilePath,
+				{
+					layers: {
+						"us-east-1": {
+							nodejs: {
+								x86_64: lockedArn,
+								arm64:
+									"arn:aws:lambda:us-east-1:114300393969:layer:lumigo-node-tracer:231"
+							},
+							python: {
+								x86_64:
+									"arn:aws:lambda:us-east-1:114300393969:layer:lumigo-python-tracer:231"
+							}
+						}
+					}
+				},
+				{ spaces: 2 }
+			);
+		});
+	});
+
+	test("when resolving from the lock, a missing lock file fails", async () => {
+		serverless.service.custom.lumigo.layerResolution = "lock";
+		await expect(lumigo.afterCreateDeploymentArtifacts()).rejects.toThrow(
+			'Run "serverless lumigo lock" to refresh it'
+		);
+	});
+
+	test("when resolving from the manifest, the bundled layer is used", async () => {
+		serverless.service.custom.lumigo.layerResolution = "manifest";
+		await lumigo.afterCreateDeploymentArtifacts();
+
+		expect(http.get).not.toBeCalled();
+		expect(serverless.service.functions.api.layers).toEqual([
+			"arn:aws:lambda:us-east-1:114300393969:layer:lumigo-node-tracer:200"
+		]);
+	});
+
+	test("when resolving from the manifest, a missing layer fails", async () => {
+		serverless.service.custom.lumigo.layerResolution = "manifest";
+		serverless.service.provider.architecture = "arm64";
+		await expect(lumigo.afterCreateDeploymentArtifacts()).rejects.toThrow(
+			"The bundled layers manifest has no lumigo-node-tracer layer for region [us-east-1] and architecture [arm64] (function [api])"
+		);
+	});
+
+	test("when resolving from the manifest, an empty manifest fails", async () => {
+		serverless.service.custom.lumigo.layerResolution = "manifest";
+		const manifest = require("./layers.json");
+		const layers = manifest.layers;
+		manifest.layers = {};
+		try {
+			await expect(lumigo.afterCreateDeploymentArtifacts()).rejects.toThrow(
+				'serverless-lumigo: The bundled layers manifest is empty, as in a git checkout of the plugin, where it is not generated (function [api]). Run "npm run layers:manifest"'
+			);
+		} finally {
+			manifest.layers = layers;
+		}
+	});
+
+	test("the layers manifest has the layers of the runtimes by region and architecture", () => {
+		const { LayerSources } = require("./layers");
+		const manifest = jest.requireActual("./layers.json");
+
+		expect(manifest).toEqual({ layers: expect.any(Object) });
+		for (const [region, runtimes] of Object.entries(manifest.layers)) {
+			for (const [runtimeFamily, architectures] of Object.entries(runtimes)) {
+				const { layerName } = LayerSources[runtimeFamily];
+				for (const layerArn of Object.values(architectures)) {
+					expect(layerArn).toMatch(
+						new RegExp(
+							`^arn:aws:lambda:${region}:114300393969:layer:${layerName}:\\d+$`
+						)
+					);
+				}
+			}
+		}
+	});
+
+	test("a failed fetch of the latest layers fails with a clear error", async () => {
+		serverless.service.provider.region = "sa-east-1";
+		http.get.mockRejectedValue(new Error("getaddrinfo ENOTFOUND"));
+		await expect(lumigo.afterCreateDeploymentArtifacts()).rejects.toThrow(
+			'Unable to fetch the latest lumigo-node-tracer layer from [https://raw.githubusercontent.com/lumigo-io/lumigo-node/master/layers/LAYERS12x.md]: getaddrinfo ENOTFOUND. Pin the layer version, or set layerResolution to "lock" or "manifest" to resolve it offline.'
+		);
+	});
+
+	test("an unexpected format of the latest layers fails with a clear error", async () => {
+		serverless.service.provider.region = "sa-east-1";
+		http.get.mockResolvedValue({ data: "<html>rate limited</html>" });
+		await expect(lumigo.afterCreateDeploymentArtifacts()).rejects.toThrow(
+			"Unexpected format of [https://raw.githubusercontent.com/lumigo-io/lumigo-node/master/layers/LAYERS12x.md], unable to find any lumigo-node-tracer layer."
+		);
+	});
+});
+
+describe("Token from SSM or Secrets Manager", () => {
+	beforeEach(() => {
+		serverless.service.provider.runtime = "nodejs14.x";
+		serverless.service.functions = {
+			api: { handler: "api.handler" }
+		};
+		serverless.service.custom.lumigo = {
+			tokenSsmParameter: "/lumigo/token"
+		};
+	});
+
+	test("the Node.js wrapper reads the token from the environment", async () => {
+		await lumigo.afterPackageInitialize();
+
+		expect(fs.outputFile).toBeCalledWith(
+			__dirname + "/_lumigo/api.js",
+			expect.toContainAllStrings("token:process.env.LUMIGO_TRACER_TOKEN")
+		);
+		expect(serverless.service.functions.api.environment).toEqual({
+			LUMIGO_TRACER_TOKEN: "{{resolve:ssm:/lumigo/token}}"
+		});
+	});
+
+	test("the plaintext token is not embedded when a reference is configured", async () => {
+		serverless.service.custom.lumigo.token = token;
+		await lumigo.afterPackageInitialize();
+
+		expect(fs.outputFile).toBeCalledWith(
+			__dirname + "/_lumigo/api.js",
+			expect.not.toContainAllStrings(token)
+		);
+	});
+
+	test("the Python wrapper reads the token from the environment", async () => {
+		serverless.service.provider.runtime = "python3.10";
+		serverless.service.custom.lumigo = {
+			tokenSecretArn: "arn:aws:secretsmanager:us-east-1:123456789012:secret:lumigo",
+			skipReqCheck: true
+		};
+		serverless.service.functions.api.environment = { STAGE: "dev" };
+		await lumigo.afterPackageInitialize();
+
+		expect(fs.outputFile).toBeCalledWith(
+			__dirname + "/_lumigo/api.py",
+			expect.toContainAllStrings(
+				"import os",
+				'@lumigo_tracer(token=os.environ.get("LUMIGO_TRACER_TOKEN"))'
+			)
+		);
+		expect(serverless.service.functions.api.environment).toEqual({
+			STAGE: "dev",
+			LUMIGO_TRACER_TOKEN:
+				"{{resolve:secretsmanager:arn:aws:secretsmanager:us-east-1:123456789012:secret:lumigo}}"
+		});
+	});
+
+	test("layers receive the reference in the environment", async () => {
+		serverless.service.custom.lumigo.useLayers = true;
+		serverless.service.custom.lumigo.nodeLayerVersion = 87;
+		await lumigo.afterPackageInitialize();
+		await lumigo.afterCreateDeploymentArtifacts();
+
+		expect(serverless.service.functions.api.environment).toEqual({
+			LUMIGO_ORIGINAL_HANDLER: "api.handler",
+			LUMIGO_TRACER_TOKEN: "{{resolve:ssm:/lumigo/token}}"
+		});
+	});
+
+	describe("when deploying a single function", () => {
+		let request;
+
+		beforeEach(() => {
+			serverless.service.custom.lumigo.useLayers = true;
+			options.function = "api";
+			request = jest.spyOn(serverless.getProvider("aws"), "request");
+		});
+
+		test("the parameter is resolved, since CloudFormation doesn't", async () => {
+			request.mockResolvedValue({ Parameter: { Value: "t_resolved" } });
+			await lumigo.afterDeployFunctionInitialize();
+
+			expect(request).toBeCalledWith("SSM", "getParameter", {
+				Name: "/lumigo/token",
+				WithDecryption: true
+			});
+			expect(serverless.service.functions.api.environment).toEqual({
+				LUMIGO_ORIGINAL_HANDLER: "api.handler",
+				LUMIGO_TRACER_TOKEN: "t_resolved"
+			});
+		});
+
+		test("the secret is resolved for the wrappers too", async () => {
+			serverless.service.custom.lumigo = {
+				tokenSecretArn:
+					"arn:aws:secretsmanager:us-east-1:123456789012:secret:lumigo"
+			};
+			request.mockResolvedValue({ SecretString: "t_secret" });
+			await lumigo.afterDeployFunctionInitialize();
+
+			expect(request).toBeCalledWith("SecretsManager", "getSecretValue", {
+				SecretId: "arn:aws:secretsmanager:us-east-1:123456789012:secret:lumigo"
+			});
+			expect(serverless.service.functions.api.environment).toEqual({
+				LUMIGO_TRACER_TOKEN: "t_secret"
+			});
+		});
+
+		test("the key of a JSON secret is selected", async () => {
+			serverless.service.custom.lumigo = {
+				tokenSecretArn:
+					"arn:aws:secretsmanager:us-east-1:123456789012:secret:lumigo:SecretString:token"
+			};
+			request.mockResolvedValue({ SecretString: '{"token":"t_json"}' });
+			await lumigo.afterDeployFunctionInitialize();
+
+			expect(request).toBeCalledWith("SecretsManager", "getSecretValue", {
+				SecretId: "arn:aws:secretsmanager:us-east-1:123456789012:secret:lumigo"
+			});
+			expect(serverless.service.functions.api.environment).toEqual({
+				LUMIGO_TRACER_TOKEN: "t_json"
+			});
+		});
+
+		test("it fails clearly when the parameter can't be read", async () => {
+			request.mockRejectedValue(new Error("AccessDeniedException"));
+
+			await expect(lumigo.afterDeployFunctionInitialize()).rejects.toThrow(
+				"serverless-lumigo: Unable to resolve the token of function [api] from [/lumigo/token]: AccessDeniedException"
+			);
+		});
+	});
+});
+
+describe("'serverless lumigo plan'", () => {
+	beforeEach(() => {
+		serverless.service.provider.runtime = "nodejs14.x";
+		serverless.service.custom.lumigo.step_function = true;
+		serverless.service.functions = {
+			api: { handler: "api.handler" },
+			job: {
+				handler: "jobs/job.handler",
+				runtime: "python3.10",
+				lumigo: { useLayers: true, pythonLayerVersion: 42 }
+			},
+			legacy: { handler: "com.example.Handler", runtime: "java8" },
+			skippy: { handler: "will.skip", lumigo: { enabled: false } }
+		};
+	});
+
+	test("it should describe the instrumentation of each function", async () => {
+		const plan = await lumigo.getInstrumentationPlan();
+
+		expect(plan).toEqual({
+			functions: [
+				{
+					localName: "api",
+					runtime: "nodejs14.x",
+					handler: "api.handler",
+					mode: "wrapper",
+					newHandler: "_lumigo/api.handler",
+					layers: [],
+					environment: {},
+					tracerParameters: { token: "****", stepFunction: true }
+				},
+				{
+					localName: "job",
+					runtime: "python3.10",
+					handler: "jobs/job.handler",
+					mode: "layer",
+					newHandler: "/opt/python/lumigo_tracer._handler",
+					layers: [
+						"arn:aws:lambda:us-east-1:114300393969:layer:lumigo-python-tracer:42"
+					],
+					environment: {
+						LUMIGO_STEP_FUNCTION: "true",
+						LUMIGO_ORIGINAL_HANDLER: "jobs/job.handler",
+						LUMIGO_TRACER_TOKEN: "****"
+					},
+					tracerParameters: {}
+				}
+			],
+			skipped: [
+				{ localName: "legacy", reason: "unsupported runtime [java8]" },
+				{ localName: "skippy", reason: "disabled" }
+			]
+		});
+	});
+
+	test("the wrappers read a token reference from the environment", async () => {
+		serverless.service.custom.lumigo = {
+			tokenSsmParameter: "/lumigo/token",
+			step_function: true
+		};
+		serverless.service.functions.job.lumigo = {};
+		const plan = await lumigo.getInstrumentationPlan();
+
+		expect(plan.functions.map(func => func.tracerParameters)).toEqual([
+			{ token: "process.env.LUMIGO_TRACER_TOKEN", stepFunction: true },
+			{ token: 'os.environ.get("LUMIGO_TRACER_TOKEN")', step_function: true }
+		]);
+	});
+
+	test("it should not change anything", async () => {
+		await lumigo.printPlan();
+
+		expect(fs.outputFile).not.toBeCalled();
+		expect(childProcess.execSync).not.toBeCalled();
+		expect(serverless.service.functions.api.handler).toBe("api.handler");
+		expect(serverless.service.functions.job.layers).toBeUndefined();
+	});
+
+	test("it should print the plan", async () => {
+		await lumigo.printPlan();
+
+		const logs = log.mock.calls.map(x => x[0]);
+		expect(logs).toEqual(
+			expect.arrayContaining([
+				"serverless-lumigo: [api] (nodejs14.x, wrapper)",
+				"serverless-lumigo:   handler: api.handler -> _lumigo/api.handler",
+				"serverless-lumigo:   layers added: none",
+				'serverless-lumigo:   tracer parameters: token="****", stepFunction=true',
+				"serverless-lumigo: [legacy] skipped: unsupported runtime [java8]",
+				"serverless-lumigo: [skippy] skipped: disabled"
+			])
+		);
+	});
+
+	test("it should print the plan as JSON", async () => {
+		options.json = true;
+		serverless.cli.consoleLog = jest.fn();
+		await lumigo.printPlan();
+
+		const plan = JSON.parse(serverless.cli.consoleLog.mock.calls[0][0]);
+		expect(plan.functions.map(func => func.localName)).toEqual(["api", "job"]);
+		expect(plan.skipped).toHaveLength(2);
+	});
+});
+
+describe("Tracer options with layers", () => {
+	beforeEach(() => {
+		serverless.service.provider.runtime = "nodejs14.x";
+		serverless.service.custom.lumigo.useLayers = true;
+		serverless.service.custom.lumigo.nodeLayerVersion = 87;
+		serverless.service.functions = {
+			api: { handler: "api.handler" },
+			worker: { handler: "worker.handler", lumigo: { debug: true } }
+		};
+	});
+
+	test("tracer options are passed as environment variables", async () => {
+		Object.assign(serverless.service.custom.lumigo, {
+			step_function: true,
+			edgeHost,
+			enhance_print: "false",
+			secretMaskingRegex: [".*secret.*", ".*password.*"]
+		});
+		await lumigo.afterCreateDeploymentArtifacts();
+
+		expect(serverless.service.functions.api.environment).toEqual({
+			LUMIGO_STEP_FUNCTION: "true",
+			LUMIGO_TRACER_HOST: edgeHost,
+			LUMIGO_ENHANCED_PRINT: "false",
+			LUMIGO_SECRET_MASKING_REGEX: '[".*secret.*",".*password.*"]',
+			LUMIGO_ORIGINAL_HANDLER: "api.handler",
+			LUMIGO_TRACER_TOKEN: token
+		});
+		expect(serverless.service.functions.worker.environment).toHaveProperty(
+			"LUMIGO_DEBUG",
+			"true"
+		);
+		expect(serverless.service.functions.api.environment).not.toHaveProperty(
+			"LUMIGO_DEBUG"
+		);
+	});
+
+	test("plugin options are not passed as environment variables", async () => {
+		serverless.service.custom.lumigo.pinVersion = "1.0.3";
+		await lumigo.afterCreateDeploymentArtifacts();
+
+		expect(Object.keys(serverless.service.functions.api.environment).sort()).toEqual([
+			"LUMIGO_ORIGINAL_HANDLER",
+			"LUMIGO_TRACER_TOKEN"
+		]);
+		expect(log).not.toBeCalledWith(expect.stringContaining("WARNING"));
+	});
+
+	test("unknown tracer options are ignored with a warning", async () => {
+		serverless.service.custom.lumigo.stepfunction = true;
+		await lumigo.afterCreateDeploymentArtifacts();
+
+		expect(Object.keys(serverless.service.functions.api.environment).sort()).toEqual([
+			"LUMIGO_ORIGINAL_HANDLER",
+			"LUMIGO_TRACER_TOKEN"
+		]);
+		const warnings = log.mock.calls
+			.map(x => x[0])
+			.filter(message => message.includes("[stepfunction]"));
+		expect(warnings).toEqual([
+			"serverless-lumigo: WARNING: [stepfunction] is not a known tracer option, and is ignored"
+		]);
+	});
+
+	test("the options of the Node.js tracer are set in the environment", async () => {
+		serverless.service.custom.lumigo.stepFunction = true;
+		serverless.service.custom.lumigo.maxSizeForRequest = 4096;
+		await lumigo.afterCreateDeploymentArtifacts();
+
+		expect(serverless.service.functions.api.environment).toMatchObject({
+			LUMIGO_STEP_FUNCTION: "true",
+			LUMIGO_MAX_SIZE_FOR_REQUEST: "4096"
+		});
+		expect(log).not.toBeCalledWith(expect.stringContaining("WARNING"));
+	});
+
+	test("tracer options without an environment variable are ignored with a warning", async () => {
+		serverless.service.custom.lumigo.eventFilter = { awsEvent: "sqs" };
+		await lumigo.afterCreateDeploymentArtifacts();
+
+		expect(serverless.service.functions.api.environment).not.toHaveProperty(
+			"eventFilter"
+		);
+		expect(log).toBeCalledWith(
+			"serverless-lumigo: WARNING: the tracer option [eventFilter] is not supported with layers, and is ignored"
+		);
+	});
+});
+
+describe("Tracer options in wrappers", () => {
+	beforeEach(() => {
+		serverless.service.functions = {
+			api: { handler: "api.handler" }
+		};
+	});
+
+	const getWrapper = extension =>
+		fs.outputFile.mock.calls.find(([file]) => file.endsWith(`/api.${extension}`))[1];
+
+	test("strings are escaped", async () => {
+		serverless.service.provider.runtime = "nodejs14.x";
+		serverless.service.custom.lumigo.edgeHost = "it's\n'); process.exit(1); ('";
+		await lumigo.afterPackageInitialize();
+
+		const wrapper = getWrapper("js");
+		expect(wrapper).toContain("edgeHost:'it\\'s\\u000a\\'); process.exit(1); (\\''");
+		const parameters = wrapper.match(/\(\{\n\t(.*)\n\}\)/)[1];
+		expect(new Function(`return {${parameters}}`)()).toEqual({
+			token,
+			edgeHost: "it's\n'); process.exit(1); ('"
+		});
+	});
+
+	test("numbers, lists and maps keep their types", async () => {
+		serverless.service.provider.runtime = "nodejs14.x";
+		Object.assign(serverless.service.custom.lumigo, {
+			max_entry_size: "2048",
+			timeout_timer_buffer: 0.5,
+			eventFilter: { awsEvent: ["sqs", "sns"], enabled: true }
+		});
+		await lumigo.afterPackageInitialize();
+
+		expect(getWrapper("js")).toContainAllStrings(
+			"max_entry_size:2048",
+			"timeout_timer_buffer:0.5",
+			"eventFilter:{'awsEvent':['sqs','sns'],'enabled':true}"
+		);
+	});
+
+	test("Python literals are used in Python wrappers", async () => {
+		serverless.service.provider.runtime = "python3.9";
+		serverless.service.custom.lumigo.skipReqCheck = true;
+		Object.assign(serverless.service.custom.lumigo, {
+			step_function: "TRUE",
+			edgeHost: "it's",
+			eventFilter: { awsEvent: null, enabled: false }
+		});
+		await lumigo.afterPackageInitialize();
+
+		expect(getWrapper("py")).toContain(
+			`@lumigo_tracer(token='${token}',step_function=True,edgeHost='it\\'s',eventFilter={'awsEvent':None,'enabled':False})`
+		);
+	});
+
+	test("unknown options are ignored with a warning", async () => {
+		serverless.service.provider.runtime = "nodejs14.x";
+		serverless.service.custom.lumigo.stepfunction = true;
+		await lumigo.afterPackageInitialize();
+
+		expect(getWrapper("js")).not.toContain("stepfunction");
+		expect(log).toBeCalledWith(
+			"serverless-lumigo: WARNING: [stepfunction] is not a known tracer option, and is ignored"
+		);
+	});
+
+	test("the Node.js names of the options are passed to the Node.js tracer", async () => {
+		serverless.service.provider.runtime = "nodejs14.x";
+		Object.assign(serverless.service.custom.lumigo, {
+			stepFunction: "true",
+			maxSizeForRequest: "4096",
+			maxSizeForRequestOnError: 8192
+		});
+		await lumigo.afterPackageInitialize();
+
+		expect(getWrapper("js")).toContainAllStrings(
+			"stepFunction:true",
+			"maxSizeForRequest:4096",
+			"maxSizeForRequestOnError:8192"
+		);
+		expect(log).not.toBeCalledWith(expect.stringContaining("WARNING"));
+	});
+
+	test("the Python tracer gets its names, without the Node.js-only options", async () => {
+		serverless.service.provider.runtime = "python3.9";
+		serverless.service.custom.lumigo.skipReqCheck = true;
+		Object.assign(serverless.service.custom.lumigo, {
+			stepFunction: true,
+			maxSizeForRequest: 4096
+		});
+		await lumigo.afterPackageInitialize();
+
+		expect(getWrapper("py")).toContain(
+			`@lumigo_tracer(token='${token}',step_function=True)`
+		);
+		expect(log).toBeCalledWith(
+			"serverless-lumigo: WARNING: the tracer option [maxSizeForRequest] is only supported by the Node.js tracer, and is ignored for Python"
+		);
+	});
+
+	test("options of the wrong type fail the packaging", async () => {
+		serverless.service.provider.runtime = "nodejs14.x";
+		serverless.service.custom.lumigo.debug = "yes";
+
+		await expect(lumigo.afterPackageInitialize()).rejects.toThrow(
+			'serverless-lumigo: The tracer option [debug] must be a boolean, but it is ["yes"].'
+		);
+	});
+
+	test("the masking options are passed as environment variables", async () => {
+		serverless.service.provider.runtime = "nodejs14.x";
+		serverless.service.custom.lumigo.secretMaskingRegex = [".*secret.*"];
+		serverless.service.custom.lumigo.domainsScrubber = '[".*internal.*"]';
+		await lumigo.afterPackageInitialize();
+
+		expect(getWrapper("js")).not.toContain("secretMaskingRegex");
+		expect(serverless.service.functions.api.environment).toEqual({
+			LUMIGO_SECRET_MASKING_REGEX: '[".*secret.*"]',
+			LUMIGO_DOMAINS_SCRUBBER: '[".*internal.*"]'
+		});
+	});
+});
+
+describe("Exec wrapper with layers", () => {
+	beforeEach(() => {
+		serverless.service.provider.runtime = "nodejs14.x";
+		serverless.service.custom.lumigo.useLayers = true;
+		serverless.service.custom.lumigo.useExecWrapper = true;
+		serverless.service.custom.lumigo.nodeLayerVersion = 87;
+		serverless.service.custom.lumigo.pythonLayerVersion = 42;
+		serverless.service.functions = {
+			api: { handler: "api.handler" },
+			job: { handler: "jobs/job.handler", runtime: "python3.10" }
+		};
+	});
+
+	test("handlers are left untouched", async () => {
+		await lumigo.afterCreateDeploymentArtifacts();
+
+		const functions = serverless.service.functions;
+		expect(functions.api.handler).toBe("api.handler");
+		expect(functions.api.environment).toEqual({
+			AWS_LAMBDA_EXEC_WRAPPER: "/opt/lumigo_wrapper",
+			LUMIGO_TRACER_TOKEN: token
+		});
+		expect(functions.api.layers).toEqual([
+			"arn:aws:lambda:us-east-1:114300393969:layer:lumigo-node-tracer:87"
+		]);
+		expect(functions.job.handler).toBe("jobs/job.handler");
+		expect(functions.job.environment).toEqual({
+			AWS_LAMBDA_EXEC_WRAPPER: "/opt/lumigo_wrapper",
+			LUMIGO_TRACER_TOKEN: token
+		});
+	});
+
+	test("functions with their own exec wrapper fall back to replacing the handler", async () => {
+		serverless.service.functions.api.environment = {
+			AWS_LAMBDA_EXEC_WRAPPER: "/opt/other_wrapper"
+		};
+		serverless.service.provider.environment = {
+			AWS_LAMBDA_EXEC_WRAPPER: "/opt/provider_wrapper"
+		};
+		await lumigo.afterCreateDeploymentArtifacts();
+
+		const functions = serverless.service.functions;
+		expect(functions.api.handler).toBe("lumigo-auto-instrument.handler");
+		expect(functions.api.environment).toEqual({
+			AWS_LAMBDA_EXEC_WRAPPER: "/opt/other_wrapper",
+			LUMIGO_ORIGINAL_HANDLER: "api.handler",
+			LUMIGO_TRACER_TOKEN: token
+		});
+		expect(functions.job.handler).toBe("/opt/python/lumigo_tracer._handler");
+		expect(functions.job.environment).toHaveProperty(
+			"LUMIGO_ORIGINAL_HANDLER",
+			"jobs/job.handler"
+		);
+	});
+});
+
+describe("Existing @lumigo/tracer installation", () => {
+	const mockInstallation = (manifest, installedVersion) => {
+		const files = {
+			[__dirname + "/package.json"]: manifest,
+			[__dirname +
+			"/node_modules/@lumigo/tracer/package.json"]: installedVersion && {
+				version: installedVersion
+			}
+		};
+		fs.pathExistsSync.mockImplementation(file => Boolean(files[file]));
+		fs.readJsonSync.mockImplementation(file => files[file]);
+	};
+
+	beforeEach(() => {
+		serverless.service.provider.runtime = "nodejs14.x";
+		serverless.service.functions = {
+			api: { handler: "api.handler" }
+		};
+	});
+
+	test("a declared and installed tracer is reused", async () => {
+		mockInstallation({ dependencies: { "@lumigo/tracer": "^1.80.0" } }, "1.80.1");
+		await lumigo.afterPackageInitialize();
+		await lumigo.afterCreateDeploymentArtifacts();
+
+		expect(childProcess.execSync).not.toBeCalled();
+		expect(fs.outputJson).not.toBeCalledWith(
+			__dirname + "/_lumigo/package.json",
+			expect.anything()
+		);
+		expect(serverless.service.functions.api.handler).toBe("_lumigo/api.handler");
+	});
+
+	test("an installed tracer of the pinned version is reused", async () => {
+		serverless.service.custom.lumigo.pinVersion = "1.80.1";
+		mockInstallation({ dependencies: { "@lumigo/tracer": "1.80.1" } }, "1.80.1");
+		await lumigo.afterPackageInitialize();
+
+		expect(childProcess.execSync).not.toBeCalled();
+	});
+
+	test("an installed tracer of another version than the pinned one is not reused", async () => {
+		serverless.service.custom.lumigo.pinVersion = "1.81.0";
+		mockInstallation({ dependencies: { "@lumigo/tracer": "^1.80.0" } }, "1.80.1");
+		await lumigo.afterPackageInitialize();
+
+		expect(childProcess.execSync).toBeCalledWith(
+			"npm install @lumigo/tracer@1.81.0",
+			installOptions
+		);
+	});
+
+	test("a tracer that is only a dev dependency is not reused", async () => {
+		mockInstallation({ devDependencies: { "@lumigo/tracer": "^1.80.0" } }, "1.80.1");
+		await lumigo.afterPackageInitialize();
+
+		assertTracerInstall();
+	});
+
+	test("a declared tracer that is not installed is not reused", async () => {
+		mockInstallation({ dependencies: { "@lumigo/tracer": "^1.80.0" } });
+		await lumigo.afterPackageInitialize();
+
+		assertTracerInstall();
+	});
+});
+
+describe("Container image functions", () => {
+	beforeEach(() => {
+		serverless.service.provider.runtime = "nodejs14.x";
+		serverless.service.functions = {
+			api: {
+				image: { name: "api", command: ["app.handler", "--verbose"] }
+			},
+			worker: { image: "worker", runtime: "python3.9" }
+		};
+		serverless.service.custom.lumigo.debug = true;
+	});
+
+	test("the tracer environment is injected", async () => {
+		await lumigo.afterPackageInitialize();
+		await lumigo.afterCreateDeploymentArtifacts();
+
+		expect(serverless.service.functions.api).toEqual({
+			image: { name: "api", command: ["app.handler", "--verbose"] },
+			environment: {
+				LUMIGO_DEBUG: "true",
+				LUMIGO_TRACER_TOKEN: token,
+				LUMIGO_ORIGINAL_HANDLER: "app.handler"
+			}
+		});
+		expect(serverless.service.functions.worker).toEqual({
+			image: "worker",
+			runtime: "python3.9",
+			environment: {
+				LUMIGO_DEBUG: "true",
+				LUMIGO_TRACER_TOKEN: token
+			}
+		});
+	});
+
+	test("nothing is wrapped, installed or packaged", async () => {
+		await lumigo.afterPackageInitialize();
+		await lumigo.afterCreateDeploymentArtifacts();
+
+		expect(childProcess.execSync).not.toBeCalled();
+		expect(fs.outputFile).not.toBeCalled();
+		expect(fs.remove).not.toBeCalled();
+		expect(serverless.service.package.patterns).toBeUndefined();
+		expect(http.get).not.toBeCalled();
+	});
+
+	test("the image command can be rewritten to the tracer's handler", async () => {
+		serverless.service.custom.lumigo.rewriteImageCommand = true;
+		delete serverless.service.functions.worker;
+		await lumigo.afterCreateDeploymentArtifacts();
+
+		expect(serverless.service.functions.api.image).toEqual({
+			name: "api",
+			command: ["lumigo-auto-instrument.handler", "--verbose"]
+		});
+		expect(serverless.service.functions.api.environment).toHaveProperty(
+			"LUMIGO_ORIGINAL_HANDLER",
+			"app.handler"
+		);
+		expect(log).toBeCalledWith(
+			expect.stringContaining(
+				"WARNING: the image command of [api] is rewritten to the Lumigo tracer's handler"
+			)
+		);
+	});
+
+	test("the image command can't be rewritten without the original handler", async () => {
+		serverless.service.custom.lumigo.rewriteImageCommand = true;
+		await expect(lumigo.afterCreateDeploymentArtifacts()).rejects.toThrow(
+			"serverless-lumigo: Unable to rewrite the image command of function [worker], it has no image.command with the original handler."
+		);
+	});
+
+	describe("without a runtime", () => {
+		beforeEach(() => {
+			delete serverless.service.provider.runtime;
+			delete serverless.service.functions.worker;
+		});
+
+		test("the tracer environment is injected", async () => {
+			await lumigo.afterPackageInitialize();
+			await lumigo.afterCreateDeploymentArtifacts();
+
+			expect(serverless.service.functions.api.environment).toEqual({
+				LUMIGO_DEBUG: "true",
+				LUMIGO_TRACER_TOKEN: token,
+				LUMIGO_ORIGINAL_HANDLER: "app.handler"
+			});
+			expect(log).not.toBeCalledWith(
+				expect.stringContaining("unsupported runtime")
+			);
+		});
+
+		test("the image command can't be rewritten", async () => {
+			serverless.service.custom.lumigo.rewriteImageCommand = true;
+			await expect(lumigo.afterCreateDeploymentArtifacts()).rejects.toThrow(
+				"serverless-lumigo: Unable to rewrite the image command of function [api], its runtime [undefined] is not a supported Node.js or Python runtime."
+			);
+		});
+	});
+
+	test("the plan shows the image instrumentation", async () => {
+		serverless.service.custom.lumigo.rewriteImageCommand = true;
+		delete serverless.service.functions.worker;
+		const { functions } = await lumigo.getInstrumentationPlan();
+
+		expect(functions).toEqual([
+			{
+				localName: "api",
+				runtime: "nodejs14.x",
+				handler: "app.handler",
+				mode: "image",
+				newHandler: "lumigo-auto-instrument.handler",
+				layers: [],
+				environment: {
+					LUMIGO_DEBUG: "true",
+					LUMIGO_TRACER_TOKEN: "****",
+					LUMIGO_ORIGINAL_HANDLER: "app.handler"
+				},
+				tracerParameters: {}
+			}
+		]);
+	});
+});
+
+describe("CloudFormation functions", () => {
+	const resource = (runtime, properties) => ({
+		Type: "AWS::Lambda::Function",
+		Properties: Object.assign(
+			{ Runtime: runtime, Handler: "index.handler" },
+			properties
+		)
+	});
+
+	beforeEach(() => {
+		serverless.service.provider.runtime = "nodejs14.x";
+		serverless.service.functions = {
+			hello: { handler: "hello.world" }
+		};
+		serverless.service.provider.compiledCloudFormationTemplate.Resources = {
+			HelloLambdaFunction: resource("nodejs14.x"),
+			CustomResourceHandler: resource("nodejs14.x", {
+				Layers: ["arn:aws:lambda:us-east-1:123456789012:layer:utils:1"],
+				Environment: { Variables: { STAGE: "dev" } }
+			}),
+			StateMachineHelper: resource("python3.9", {
+				Architectures: ["arm64"]
+			}),
+			LegacyHandler: resource("go1.x"),
+			Bucket: { Type: "AWS::S3::Bucket" }
+		};
+	});
+
+	const getResource = logicalId =>
+		serverless.service.provider.compiledCloudFormationTemplate.Resources[logicalId];
+
+	test("they are not instrumented by default", async () => {
+		await lumigo.instrumentCloudFormationFunctions();
+
+		expect(getResource("CustomResourceHandler")).toEqual(
+			resource("nodejs14.x", {
+				Layers: ["arn:aws:lambda:us-east-1:123456789012:layer:utils:1"],
+				Environment: { Variables: { STAGE: "dev" } }
+			})
+		);
+	});
+
+	test("they are instrumented with layers when enabled", async () => {
+		serverless.service.custom.lumigo.cloudFormationFunctions = true;
+		await lumigo.instrumentCloudFormationFunctions();
+
+		expect(getResource("CustomResourceHandler")).toEqual({
+			Type: "AWS::Lambda::Function",
+			Properties: {
+				Runtime: "nodejs14.x",
+				Handler: "lumigo-auto-instrument.handler",
+				Layers: [
+					"arn:aws:lambda:us-east-1:123456789012:layer:utils:1",
+					"arn:aws:lambda:us-east-1:114300393969:layer:lumigo-node-tracer:231"
+				],
+				Environment: {
+					Variables: {
+						STAGE: "dev",
+						LUMIGO_TRACER_TOKEN: token,
+						LUMIGO_ORIGINAL_HANDLER: "index.handler"
+					}
+				}
+			}
+		});
+		expect(getResource("StateMachineHelper").Properties).toEqual({
+			Runtime: "python3.9",
+			Handler: "/opt/python/lumigo_tracer._handler",
+			Architectures: ["arm64"],
+			Layers: [
+				"arn:aws:lambda:us-east-1:114300393969:layer:lumigo-python-tracer:231"
+			],
+			Environment: {
+				Variables: {
+					LUMIGO_TRACER_TOKEN: token,
+					LUMIGO_ORIGINAL_HANDLER: "index.handler"
+				}
+			}
+		});
+	});
+
+	test("the functions of the service and unsupported runtimes are left alone", async () => {
+		serverless.service.custom.lumigo.cloudFormationFunctions = true;
+		await lumigo.instrumentCloudFormationFunctions();
+
+		expect(getResource("HelloLambdaFunction")).toEqual(resource("nodejs14.x"));
+		expect(getResource("LegacyHandler")).toEqual(resource("go1.x"));
+		expect(log).toBeCalledWith(
+			'serverless-lumigo: unsupported runtime: ["go1.x"] for resource [LegacyHandler], skipped...'
+		);
+	});
+
+	test("the exec wrapper keeps the handlers untouched", async () => {
+		serverless.service.custom.lumigo.cloudFormationFunctions = true;
+		serverless.service.custom.lumigo.useExecWrapper = true;
+		await lumigo.instrumentCloudFormationFunctions();
+
+		const properties = getResource("CustomResourceHandler").Properties;
+		expect(properties.Handler).toBe("index.handler");
+		expect(properties.Environment.Variables).toEqual({
+			STAGE: "dev",
+			LUMIGO_TRACER_TOKEN: token,
+			AWS_LAMBDA_EXEC_WRAPPER: "/opt/lumigo_wrapper"
+		});
+	});
+
+	test("the resources are selected by their logical IDs", async () => {
+		serverless.service.custom.lumigo.cloudFormationFunctions = {
+			include: ["Custom*", "*Helper"],
+			exclude: ["StateMachine*"]
+		};
+		await lumigo.instrumentCloudFormationFunctions();
+
+		expect(getResource("CustomResourceHandler").Properties.Handler).toBe(
+			"lumigo-auto-instrument.handler"
+		);
+		expect(getResource("StateMachineHelper").Properties.Handler).toBe(
+			"index.handler"
+		);
+		expect(log).not.toBeCalledWith(expect.stringContaining("LegacyHandler"));
+	});
+
+	test("the token is required", async () => {
+		serverless.service.custom.lumigo = { cloudFormationFunctions: true };
+		await expect(lumigo.instrumentCloudFormationFunctions()).rejects.toThrow(
+			"serverless-lumigo: Unable to find token."
+		);
+	});
+});
+
+describe("Deploying a single function", () => {
+	beforeEach(() => {
+		serverless.service.provider.runtime = "nodejs14.x";
+		serverless.service.functions = {
+			api: { handler: "api.handler", environment: { STAGE: "dev" } },
+			worker: { handler: "worker.handler" }
+		};
+		serverless.service.custom.lumigo.useLayers = true;
+		options.function = "api";
+	});
+
+	test("it is instrumented with layers", async () => {
+		await lumigo.afterDeployFunctionInitialize();
+
+		expect(serverless.service.functions.api).toEqual({
+			handler: "lumigo-auto-instrument.handler",
+			layers: [
+				"arn:aws:lambda:us-east-1:114300393969:layer:lumigo-node-tracer:231"
+			],
+			environment: {
+				STAGE: "dev",
+				LUMIGO_TRACER_TOKEN: token,
+				LUMIGO_ORIGINAL_HANDLER: "api.handler"
+			}
+		});
+		expect(serverless.service.functions.worker).toEqual({
+			handler: "worker.handler"
+		});
+	});
+
+	test("it is instrumented like in a full deployment", async () => {
+		serverless.service.provider.layers = [
+			"arn:aws:lambda:us-east-1:123456789012:layer:utils:1"
+		];
+		serverless.service.custom.lumigo.useExecWrapper = true;
+		await lumigo.afterDeployFunctionInitialize();
+		const deployedFunction = JSON.parse(
+			JSON.stringify(serverless.service.functions.api)
+		);
+
+		serverless.service.functions.api = {
+			handler: "api.handler",
+			environment: { STAGE: "dev" }
+		};
+		await lumigo.afterPackageInitialize();
+		await lumigo.afterCreateDeploymentArtifacts();
+
+		expect(deployedFunction).toEqual(serverless.service.functions.api);
+	});
+
+	test("container images get the tracer environment", async () => {
+		serverless.service.functions.api = {
+			image: { name: "api", command: ["app.handler"] }
+		};
+		await lumigo.afterDeployFunctionInitialize();
+
+		expect(serverless.service.functions.api.environment).toEqual({
+			LUMIGO_TRACER_TOKEN: token,
+			LUMIGO_ORIGINAL_HANDLER: "app.handler"
+		});
+	});
+});
+
+describe("Selecting the stages and functions", () => {
+	beforeEach(() => {
+		serverless.service.provider.runtime = "nodejs14.x";
+		serverless.service.provider.tags = { team: "payments" };
+		serverless.service.functions = {
+			"api-orders": { handler: "orders.handler" },
+			"api-users": { handler: "users.handler", tags: { team: "identity" } },
+			cron: { handler: "cron.handler", tags: { tier: "internal" } }
+		};
+		serverless.service.provider.stage = "dev";
+	});
+
+	const getInstrumented = () =>
+		lumigo.getFunctionsToWrap(serverless.service).functions.map(f => f.localName);
+	const getSkipped = () => lumigo.getFunctionsToWrap(serverless.service).skipped;
+
+	test("all functions are instrumented by default", () => {
+		expect(getInstrumented()).toEqual(["api-orders", "api-users", "cron"]);
+	});
+
+	test("stages lists the instrumented stages", async () => {
+		serverless.service.custom.lumigo.stages = ["prod", "staging-*"];
+		await lumigo.afterPackageInitialize();
+
+		expect(getInstrumented()).toEqual([]);
+		expect(getSkipped()).toContainEqual({
+			localName: "cron",
+			reason: "stage [dev] is not in stages"
+		});
+		expect(log).toBeCalledWith(
+			"serverless-lumigo: stage [dev] is not in stages, skipping the instrumentation..."
+		);
+		expect(fs.outputFile).not.toBeCalled();
+
+		serverless.service.provider.stage = "staging-eu";
+		expect(getInstrumented()).toHaveLength(3);
+	});
+
+	test("excludeStages lists the stages that are not instrumented", () => {
+		serverless.service.custom.lumigo.excludeStages = ["dev"];
+
+		expect(getInstrumented()).toEqual([]);
+		expect(getSkipped()).toContainEqual({
+			localName: "api-orders",
+			reason: "stage [dev] is in excludeStages"
+		});
+	});
+
+	test("includeFunctions matches the names of the functions", () => {
+		serverless.service.custom.lumigo.includeFunctions = ["api-*"];
+
+		expect(getInstrumented()).toEqual(["api-orders", "api-users"]);
+		expect(getSkipped()).toEqual([
+			{ localName: "cron", reason: "not matched by includeFunctions" }
+		]);
+	});
+
+	test("excludeFunctions matches the tags of the functions", () => {
+		serverless.service.custom.lumigo.excludeFunctions = [
+			"tag:tier",
+			"tag:team=ident*"
+		];
+
+		expect(getInstrumented()).toEqual(["api-orders"]);
+		expect(getSkipped()).toEqual([
+			{
+				localName: "api-users",
+				reason: "matched by excludeFunctions [tag:team=ident*]"
+			},
+			{ localName: "cron", reason: "matched by excludeFunctions [tag:tier]" }
+		]);
+	});
+
+	test("the provider's tags apply to the functions", () => {
+		serverless.service.custom.lumigo.includeFunctions = ["tag:team=payments"];
+
+		expect(getInstrumented()).toEqual(["api-orders", "cron"]);
+	});
+
+	test("the plan reports why the functions are skipped", async () => {
+		serverless.service.custom.lumigo.excludeFunctions = ["cron"];
+		await lumigo.printPlan();
+
+		expect(log).toBeCalledWith(
+			"serverless-lumigo: [cron] skipped: matched by excludeFunctions [cron]"
+		);
+	});
+
+	test("the CloudFormation functions are not instrumented in excluded stages", async () => {
+		serverless.service.custom.lumigo.excludeStages = ["dev"];
+		serverless.service.custom.lumigo.cloudFormationFunctions = true;
+		serverless.service.provider.compiledCloudFormationTemplate.Resources = {
+			CustomResourceHandler: {
+				Type: "AWS::Lambda::Function",
+				Properties: { Runtime: "nodejs14.x", Handler: "index.handler" }
+			}
+		};
+		await lumigo.instrumentCloudFormationFunctions();
+
+		expect(
+			serverless.service.provider.compiledCloudFormationTemplate.Resources
+				.CustomResourceHandler.Properties.Handler
+		).toBe("index.handler");
+	});
+});
+
+describe("Step Functions tasks", () => {
+	beforeEach(() => {
+		serverless.service.provider.runtime = "nodejs14.x";
+		serverless.service.functions = {
+			start: { handler: "start.handler" },
+			check: { handler: "check.handler" },
+			notify: { handler: "notify.handler", name: "notifications" },
+			report: { handler: "report.handler" },
+			api: { handler: "api.handler" }
+		};
+		serverless.service.stepFunctions = {
+			stateMachines: {
+				orders: {
+					definition: {
+						StartAt: "Start",
+						States: {
+							Start: {
+								Type: "Task",
+								Resource: {
+									"Fn::GetAtt": ["StartLambdaFunction", "Arn"]
+								},
+								Next: "Checks"
+							},
+							Checks: {
+								Type: "Parallel",
+								Branches: [
+									{
+										StartAt: "Check",
+										States: {
+											Check: {
+												Type: "Task",
+												Resource:
+													"arn:aws:states:::lambda:invoke",
+												Parameters: {
+													FunctionName: {
+														Ref: "CheckLambdaFunction"
+													}
+												},
+												End: true
+											}
+										}
+									}
+								],
+								Next: "Notify"
+							},
+							Notify: {
+								Type: "Map",
+								ItemProcessor: {
+									StartAt: "NotifyOne",
+									States: {
+										NotifyOne: {
+											Type: "Task",
+											Resource:
+												"arn:aws:lambda:us-east-1:123456789012:function:notifications",
+											End: true
+										}
+									}
+								},
+								End: true
+							}
+						}
+					}
+				},
+				reports: {
+					definition: {
+						StartAt: "Report",
+						States: {
+							Report: {
+								Type: "Task",
+								Resource: { "Fn::GetAtt": "report.Arn" },
+								End: true
+							}
+						}
+					}
+				}
+			}
+		};
+	});
+
+	test("step_function is enabled for the task states' functions", () => {
+		expect(lumigo.getStepFunctionTasks()).toEqual(
+			new Set(["start", "check", "notify", "report"])
+		);
+		expect(lumigo.getLumigoConfig({ localName: "start" }).step_function).toBe(true);
+		expect(lumigo.getLumigoConfig({ localName: "api" })).not.toHaveProperty(
+			"step_function"
+		);
+	});
+
+	test("the wrappers of the tasks trace step functions", async () => {
+		await lumigo.afterPackageInitialize();
+
+		// the Node.js tracer only reads stepFunction
+		expect(fs.outputFile).toBeCalledWith(
+			__dirname + "/_lumigo/start.js",
+			expect.stringContaining(`token:'${token}',stepFunction:true`)
+		);
+		expect(fs.outputFile).toBeCalledWith(
+			__dirname + "/_lumigo/start.js",
+			expect.not.stringContaining("step_function")
+		);
+		expect(fs.outputFile).toBeCalledWith(
+			__dirname + "/_lumigo/api.js",
+			expect.not.stringContaining("stepFunction")
+		);
+	});
+
+	test("the Python wrappers of the tasks keep step_function", async () => {
+		serverless.service.functions.start.runtime = "python3.9";
+		serverless.service.custom.lumigo.skipReqCheck = true;
+		await lumigo.afterPackageInitialize();
+
+		expect(fs.outputFile).toBeCalledWith(
+			__dirname + "/_lumigo/start.py",
+			expect.stringContaining(`@lumigo_tracer(token='${token}',step_function=True)`)
+		);
+	});
+
+	test("the layers of the tasks trace step functions", async () => {
+		serverless.service.custom.lumigo.useLayers = true;
+		await lumigo.afterCreateDeploymentArtifacts();
+
+		expect(serverless.service.functions.check.environment).toHaveProperty(
+			"LUMIGO_STEP_FUNCTION",
+			"true"
+		);
+		expect(serverless.service.functions.api.environment).not.toHaveProperty(
+			"LUMIGO_STEP_FUNCTION"
+		);
+	});
+
+	test("an explicit step_function takes precedence", () => {
+		const start = { localName: "start", lumigo: { step_function: false } };
+
+		expect(lumigo.getLumigoConfig(start).step_function).toBe(false);
+	});
+
+	test("autoStepFunction turns the detection off", () => {
+		serverless.service.custom.lumigo.autoStepFunction = false;
+
+		expect(lumigo.getLumigoConfig({ localName: "start" })).not.toHaveProperty(
+			"step_function"
+		);
+	});
+});
+
+describe("Conflicts with other observability vendors", () => {
+	const datadogLayer =
+		"arn:aws:lambda:us-east-1:464622532012:layer:Datadog-Node14-x:80";
+
+	beforeEach(() => {
+		serverless.service.provider.runtime = "nodejs14.x";
+		serverless.service.functions = {
+			api: { handler: "api.handler", layers: [datadogLayer] },
+			worker: { handler: "newrelic-lambda-wrapper.handler" },
+			cron: {
+				handler: "cron.handler",
+				environment: { AWS_LAMBDA_EXEC_WRAPPER: "/opt/thundra_wrapper" }
+			},
+			clean: { handler: "clean.handler" }
+		};
+	});
+
+	test("they are reported once per function by default", async () => {
+		serverless.service.custom.lumigo.useLayers = true;
+		await lumigo.afterPackageInitialize();
+		await lumigo.afterCreateDeploymentArtifacts();
+
+		expect(log).toBeCalledWith(
+			`serverless-lumigo: WARNING: function [api] is also instrumented by Datadog layer [${datadogLayer}]`
+		);
+		expect(log).toBeCalledWith(
+			"serverless-lumigo: WARNING: function [worker] is also instrumented by New Relic handler [newrelic-lambda-wrapper.handler]"
+		);
+		expect(log).toBeCalledWith(
+			"serverless-lumigo: WARNING: function [cron] is also instrumented by Thundra exec wrapper [/opt/thundra_wrapper]"
+		);
+		expect(log.mock.calls.filter(([msg]) => msg.includes("WARNING"))).toHaveLength(3);
+		expect(serverless.service.functions.api.layers).toHaveLength(2);
+	});
+
+	test("layers added by other plugins after packaging starts are detected", async () => {
+		serverless.service.custom.lumigo.useLayers = true;
+		serverless.service.custom.lumigo.onConflict = "error";
+		serverless.service.functions = { clean: { handler: "clean.handler" } };
+		await lumigo.afterPackageInitialize();
+		serverless.service.provider.layers = [datadogLayer];
+
+		await expect(lumigo.afterCreateDeploymentArtifacts()).rejects.toThrow(
+			`serverless-lumigo: function [clean] is also instrumented by Datadog layer [${datadogLayer}]. Remove the other instrumentation, or set onConflict to "warn" or "skip".`
+		);
+	});
+
+	test("they fail the packaging with onConflict: error", async () => {
+		serverless.service.custom.lumigo.onConflict = "error";
+
+		await expect(lumigo.afterPackageInitialize()).rejects.toThrow(
+			"serverless-lumigo: function [api] is also instrumented by Datadog layer"
+		);
+		expect(fs.outputFile).not.toBeCalled();
+	});
+
+	test("the functions are skipped with onConflict: skip", async () => {
+		serverless.service.custom.lumigo.onConflict = "skip";
+		const { functions, skipped } = lumigo.getFunctionsToWrap(serverless.service);
+
+		expect(functions.map(func => func.localName)).toEqual(["clean"]);
+		expect(skipped).toEqual([
+			{
+				localName: "api",
+				reason: `also instrumented by Datadog layer [${datadogLayer}]`
+			},
+			{
+				localName: "worker",
+				reason:
+					"also instrumented by New Relic handler [newrelic-lambda-wrapper.handler]"
+			},
+			{
+				localName: "cron",
+				reason: "also instrumented by Thundra exec wrapper [/opt/thundra_wrapper]"
+			}
+		]);
+	});
+
+	test("the entry points of the vendors are detected in any runtime", () => {
+		serverless.service.functions = {
+			node: {
+				handler: "/opt/nodejs/node_modules/datadog-lambda-js/handler.handler"
+			},
+			python: { handler: "newrelic_lambda_wrapper.handler", runtime: "python3.10" }
+		};
+
+		expect(lumigo.getConflicts(serverless.service.functions.node)).toEqual([
+			"Datadog handler [/opt/nodejs/node_modules/datadog-lambda-js/handler.handler]"
+		]);
+		expect(lumigo.getConflicts(serverless.service.functions.python)).toEqual([
+			"New Relic handler [newrelic_lambda_wrapper.handler]"
+		]);
+	});
+
+	test("handlers named after a vendor are not conflicts", async () => {
+		serverless.service.custom.lumigo.onConflict = "error";
+		serverless.service.functions = {
+			forwarder: { handler: "handlers/datadogForwarder.handler" },
+			sync: { handler: "newrelic-sync.handler" },
+			wrapper: {
+				handler: "api.handler",
+				environment: { AWS_LAMBDA_EXEC_WRAPPER: "/opt/epsagon-like-wrapper" }
+			}
+		};
+		await lumigo.afterPackageInitialize();
+
+		expect(serverless.service.functions.forwarder.handler).toBe(
+			"_lumigo/forwarder.handler"
+		);
+		expect(serverless.service.functions.sync.handler).toBe("_lumigo/sync.handler");
+	});
+
+	test("onConflict can be set per function", async () => {
+		serverless.service.custom.lumigo.onConflict = "error";
+		serverless.service.functions.api.lumigo = { onConflict: "skip" };
+		serverless.service.functions.worker.lumigo = { onConflict: "skip" };
+		serverless.service.functions.cron.lumigo = { onConflict: "warn" };
+		await lumigo.afterPackageInitialize();
+
+		expect(serverless.service.functions.api.handler).toBe("api.handler");
+		expect(serverless.service.functions.cron.handler).toBe("_lumigo/cron.handler");
+	});
+});
+
+describe("Layer limits and artifact sizes", () => {
+	const layer = i => `arn:aws:lambda:us-east-1:123456789012:layer:utils-${i}:1`;
+
+	// the central directory of a zip archive with files of the given sizes
+	const zipArchive = sizes => {
+		const headers = sizes.map((size, i) => {
+			const name = Buffer.from(`file${i}.js`);
+			const header = Buffer.alloc(46);
+			header.writeUInt32LE(0x02014b50, 0);
+			header.writeUInt32LE(size, 24);
+			header.writeUInt16LE(name.length, 28);
+			return Buffer.concat([header, name]);
+		});
+		const centralDirectory = Buffer.concat(headers);
+		const end = Buffer.alloc(22);
+		end.writeUInt32LE(0x06054b50, 0);
+		end.writeUInt16LE(sizes.length, 8);
+		end.writeUInt16LE(sizes.length, 10);
+		end.writeUInt32LE(centralDirectory.length, 12);
+		end.writeUInt32LE(0, 16);
+		return Buffer.concat([centralDirectory, end]);
+	};
+	const MB = 1024 * 1024;
+
+	beforeEach(() => {
+		serverless.service.provider.runtime = "nodejs14.x";
+		serverless.service.functions = {
+			api: { handler: "api.handler" }
+		};
+	});
+
+	describe("with layers", () => {
+		beforeEach(() => {
+			serverless.service.custom.lumigo.useLayers = true;
+		});
+
+		test("a function can't have more than five layers", async () => {
+			serverless.service.functions.api.layers = [1, 2, 3, 4, 5].map(layer);
+
+			await expect(lumigo.afterCreateDeploymentArtifacts()).rejects.toThrow(
+				"serverless-lumigo: Unable to add the Lumigo layer to function [api], which already has 5 layers, while a Lambda function can have at most 5."
+			);
+		});
+
+		test("the provider's layers count for the functions without layers", async () => {
+			serverless.service.provider.layers = [1, 2, 3, 4].map(layer);
+			await lumigo.afterCreateDeploymentArtifacts();
+
+			expect(serverless.service.functions.api.layers).toHaveLength(5);
+		});
+
+		test("the Lumigo layer can't be added twice", async () => {
+			const lumigoLayer =
+				"arn:aws:lambda:us-east-1:114300393969:layer:lumigo-node-tracer:87";
+			serverless.service.provider.layers = [lumigoLayer];
+
+			await expect(lumigo.afterCreateDeploymentArtifacts()).rejects.toThrow(
+				`serverless-lumigo: The layers of function [api] already include the Lumigo layer [${lumigoLayer}].`
+			);
+		});
+
+		test("the limits apply to the CloudFormation functions", async () => {
+			serverless.service.custom.lumigo.cloudFormationFunctions = true;
+			serverless.service.provider.compiledCloudFormationTemplate.Resources = {
+				CustomResourceHandler: {
+					Type: "AWS::Lambda::Function",
+					Properties: {
+						Runtime: "nodejs14.x",
+						Handler: "index.handler",
+						Layers: [1, 2, 3, 4, 5].map(layer)
+					}
+				}
+			};
+
+			await expect(lumigo.instrumentCloudFormationFunctions()).rejects.toThrow(
+				"serverless-lumigo: Unable to add the Lumigo layer to resource [CustomResourceHandler], which already has 5 layers"
+			);
+		});
+	});
+
+	describe("maxUnzippedSizeMB", () => {
+		const artifact = __dirname + "/.serverless/lumigo-test.zip";
+
+		beforeEach(() => {
+			serverless.service.package = { artifact };
+			serverless.service.custom.lumigo.maxUnzippedSizeMB = 50;
+		});
+
+		test("the sizes are not checked by default", async () => {
+			delete serverless.service.custom.lumigo.maxUnzippedSizeMB;
+			await lumigo.afterCreateDeploymentArtifacts();
+
+			expect(fs.readFile).not.toBeCalled();
+		});
+
+		test("an artifact within the budget passes", async () => {
+			fs.readFile.mockResolvedValue(zipArchive([30 * MB, 10 * MB]));
+			await lumigo.afterCreateDeploymentArtifacts();
+
+			expect(fs.readFile).toBeCalledWith(artifact);
+			expect(fs.remove).toBeCalledWith(__dirname + "/_lumigo");
+		});
+
+		test("an artifact over the budget fails the packaging", async () => {
+			fs.readFile.mockResolvedValue(zipArchive([30 * MB, 25 * MB]));
+
+			await expect(lumigo.afterCreateDeploymentArtifacts()).rejects.toThrow(
+				"serverless-lumigo: The artifact of function [api] is 55.0 MB unzipped, over the budget of 50 MB set by maxUnzippedSizeMB."
+			);
+		});
+
+		test("the budget applies to the artifacts of individual functions", async () => {
+			serverless.service.functions.worker = {
+				handler: "worker.handler",
+				package: { artifact: "worker.zip" },
+				lumigo: { maxUnzippedSizeMB: 10 }
+			};
+			fs.readFile.mockImplementation(async file =>
+				file === artifact ? zipArchive([MB]) : zipArchive([20 * MB])
+			);
+
+			await expect(lumigo.afterCreateDeploymentArtifacts()).rejects.toThrow(
+				"serverless-lumigo: The artifact of function [worker] is 20.0 MB unzipped, over the budget of 10 MB set by maxUnzippedSizeMB."
+			);
+			expect(fs.readFile).toBeCalledWith(__dirname + "/worker.zip");
+		});
+
+		test("the artifact must be a zip archive", async () => {
+			fs.readFile.mockResolvedValue(Buffer.from("not a zip archive"));
+
+			await expect(lumigo.afterCreateDeploymentArtifacts()).rejects.toThrow(
+				`serverless-lumigo: Unable to read the artifact [${artifact}] of function [api] as a zip archive.`
+			);
+		});
+	});
+});
+
+describe("Packaging the wrappers", () => {
+	beforeEach(() => {
+		serverless.service.provider.runtime = "nodejs14.x";
+		serverless.service.functions = {
+			api: { handler: "api.handler" },
+			worker: { handler: "worker.handler" }
+		};
+	});
+
+	test("if package.patterns is not set, it's initialized with _lumigo/**", async () => {
+		await lumigo.afterPackageInitialize();
+		assertLumigoIsIncluded();
+	});
+
+	test("the wrappers are added to the service's package.patterns", async () => {
+		serverless.service.package = { patterns: ["!**", "src/**"] };
+		await lumigo.afterPackageInitialize();
+
+		expect(serverless.service.package.patterns).toEqual([
+			"!**",
+			"src/**",
+			"_lumigo/**"
+		]);
+		expect(serverless.service.functions.api.package).toBeUndefined();
+	});
+
+	test("the deprecated package.include is still supported", async () => {
+		serverless.service.package = { include: ["src/**"] };
+		await lumigo.afterPackageInitialize();
+
+		expect(serverless.service.package).toEqual({
+			include: ["src/**", "_lumigo/**"]
+		});
+	});
+
+	test("a function packaged individually gets only its own wrapper", async () => {
+		serverless.service.functions.worker.package = {
+			individually: true,
+			patterns: ["!**", "worker.js"]
+		};
+		await lumigo.afterPackageInitialize();
+
+		expect(serverless.service.package.patterns).toEqual(["_lumigo/**"]);
+		expect(serverless.service.functions.api.package).toBeUndefined();
+		expect(serverless.service.functions.worker.package.patterns).toEqual([
+			"!**",
+			"worker.js",
+			"!_lumigo/**",
+			"_lumigo/worker.js",
+			"_lumigo/package.json",
+			"_lumigo/node_modules/**"
+		]);
+	});
+
+	test("functions with layers are left alone", async () => {
+		serverless.service.package = { individually: true };
+		serverless.service.functions.worker.lumigo = { useLayers: true };
+		await lumigo.afterPackageInitialize();
+
+		expect(serverless.service.functions.api.package.patterns).toContain(
+			"_lumigo/api.js"
+		);
+		expect(serverless.service.functions.worker.package).toBeUndefined();
+	});
+});
+
+describe("Checking the handlers before wrapping", () => {
+	beforeEach(() => {
+		serverless.service.provider.runtime = "nodejs14.x";
+		serverless.service.functions = {
+			api: { handler: "functions/api.handler" }
+		};
+	});
+
+	test("a handler without a module fails before anything is written", async () => {
+		givenFiles({});
+
+		await expect(lumigo.afterPackageInitialize()).rejects.toThrow(
+			"serverless-lumigo: Unable to find the module of the handler [functions/api.handler] of function [api], looked for [functions/api.js, functions/api.mjs, functions/api.cjs, functions/api.ts, functions/api/index.js, functions/api/index.mjs, functions/api/index.cjs, functions/api/index.ts]."
+		);
+		expect(fs.outputFile).not.toBeCalled();
+		expect(childProcess.execSync).not.toBeCalled();
+	});
+
+	test("an export that isn't found is warned about", async () => {
+		givenFiles({ "functions/api.js": "module.exports.main = async () => {};" });
+		await lumigo.afterPackageInitialize();
+
+		expect(log).toBeCalledWith(
+			"serverless-lumigo: WARNING: the export of [handler], the handler [functions/api.handler] of function [api], was not found in [functions/api.js]. The function fails when invoked if the handler is not exported."
+		);
+		expect(serverless.service.functions.api.handler).toBe("_lumigo/api.handler");
+	});
+
+	test.each([
+		["functions/api.js", "exports.handler = async () => {};"],
+		["functions/api.js", "module.exports = { handler, other };"],
+		["functions/api.js", "module.exports = require('./lib');"],
+		[
+			"functions/api.js",
+			"module.exports = { cfg: { a: 1 }, handler: async () => 1 };"
+		],
+		[
+			"functions/api.js",
+			"module.exports = {\n  cfg: { retries: { max: 3 } },\n  handler\n};"
+		],
+		["functions/api.js", "Object.assign(module.exports, { handler });"],
+		["functions/api.ts", "export = { config: { a: 1 }, handler };"],
+		["functions/api.mjs", "export async function handler(event) {}"],
+		["functions/api.cjs", "const handler = () => {};\nmodule.exports = { handler };"],
+		["functions/api.ts", "export const handler: Handler = async () => {};"],
+		["functions/api/index.js", "export { main as handler } from './main';"]
+	])("the handler exported by %s is found: %s", async (file, source) => {
+		givenFiles({ [file]: source });
+		await lumigo.afterPackageInitialize();
+
+		expect(serverless.service.functions.api.handler).toBe("_lumigo/api.handler");
+		expect(log).not.toBeCalledWith(expect.stringContaining("WARNING"));
+	});
+
+	test("the nodeModuleFileExtension is looked for first", async () => {
+		serverless.service.custom.lumigo.nodeModuleFileExtension = "mjs";
+		givenFiles({
+			"functions/api.js": "module.exports.main = async () => {};",
+			"functions/api.mjs": "export const handler = async () => {};"
+		});
+		await lumigo.afterPackageInitialize();
+
+		expect(log).not.toBeCalledWith(expect.stringContaining("WARNING"));
+	});
+
+	describe("python", () => {
+		beforeEach(() => {
+			serverless.service.provider.runtime = "python3.9";
+			serverless.service.custom.lumigo.skipReqCheck = true;
+			serverless.service.functions = {
+				api: { handler: "functions/api.main.handler" }
+			};
+		});
+
+		test("the module is resolved like importlib does", async () => {
+			givenFiles({ "functions/api/main.py": "async def handler(event, context):" });
+			await lumigo.afterPackageInitialize();
+
+			expect(serverless.service.functions.api.handler).toBe("_lumigo/api.handler");
+		});
+
+		test("a def under a try or an if is found", async () => {
+			givenFiles({
+				"functions/api/main.py":
+					"try:\n  import boto3\n\n  def handler(event, context):\n    pass\nexcept ImportError:\n  pass"
+			});
+			await lumigo.afterPackageInitialize();
+
+			expect(log).not.toBeCalledWith(expect.stringContaining("WARNING"));
+		});
+
+		test("a module without the def is warned about", async () => {
+			givenFiles({
+				"functions/api/main/__init__.py": "def main(event, context):\n  pass"
+			});
+			await lumigo.afterPackageInitialize();
+
+			expect(log).toBeCalledWith(
+				expect.stringContaining(
+					"was not found in [functions/api/main/__init__.py]"
+				)
+			);
+		});
+	});
+
+	test("skipHandlerCheck skips the check of the function", async () => {
+		serverless.service.functions.api.lumigo = { skipHandlerCheck: true };
+		givenFiles({});
+		await lumigo.afterPackageInitialize();
+
+		expect(serverless.service.functions.api.handler).toBe("_lumigo/api.handler");
+	});
+
+	test("the functions with layers aren't checked", async () => {
+		serverless.service.custom.lumigo.useLayers = true;
+		givenFiles({});
+
+		await lumigo.afterPackageInitialize();
+		expect(fs.readFileSync).not.toBeCalled();
+	});
+});
+
+describe("TypeScript handlers", () => {
+	const handlerSource = "export const handler = async () => {};";
+
+	beforeEach(() => {
+		serverless.service.provider.runtime = "nodejs18.x";
+		serverless.service.functions = {
+			api: { handler: "src/api.handler" }
+		};
+	});
+
+	describe("with serverless-plugin-typescript", () => {
+		beforeEach(() => {
+			serverless.service.plugins = ["serverless-plugin-typescript"];
+		});
+
+		test("a .ts wrapper is compiled along with the handler", async () => {
+			givenFiles({ "src/api.ts": handlerSource });
+			await lumigo.afterPackageInitialize();
+
+			expect(fs.outputFile).toBeCalledWith(
+				__dirname + "/_lumigo/api.ts",
+				expect.toContainAllStrings(
+					"// @ts-nocheck",
+					"import {handler as originalHandler} from '../src/api'",
+					'const tracer = require("@lumigo/tracer")({',
+					"export const handler = tracer.trace(originalHandler);"
+				)
+			);
+			expect(serverless.service.functions.api.handler).toBe("_lumigo/api.handler");
+		});
+
+		test("the .ts wrapper imports the tracer as an ES module", async () => {
+			serverless.service.custom.lumigo.nodeUseESModule = true;
+			givenFiles({ "src/api.ts": handlerSource });
+			await lumigo.afterPackageInitialize();
+
+			expect(fs.outputFile).toBeCalledWith(
+				__dirname + "/_lumigo/api.ts",
+				expect.toContainAllStrings(
+					"// @ts-nocheck",
+					"import lumigo from '@lumigo/tracer'",
+					"import {handler as originalHandler} from '../src/api.js'"
+				)
+			);
+		});
+
+		test("a JavaScript handler keeps a .js wrapper", async () => {
+			givenFiles({ "src/api.js": "exports.handler = async () => {};" });
+			await lumigo.afterPackageInitialize();
+
+			expect(fs.outputFile).toBeCalledWith(
+				__dirname + "/_lumigo/api.js",
+				expect.toContainAllStrings("require('../src/api').handler")
+			);
+		});
+	});
+
+	describe("with the outDir of tsconfig.json", () => {
+		test("the wrapper requires the compiled handler", async () => {
+			givenFiles({
+				"src/api.ts": handlerSource,
+				"tsconfig.json": `{
+					// compiled by "npm run build"
+					"compilerOptions": {
+						"outDir": "./dist",
+						"rootDir": "src",
+						"paths": { "@/*": ["src/*"] },
+					},
+				}`
+			});
+			await lumigo.afterPackageInitialize();
+
+			expect(fs.outputFile).toBeCalledWith(
+				__dirname + "/_lumigo/api.js",
+				expect.toContainAllStrings("require('../dist/api').handler")
+			);
+		});
+
+		test("the compiled path keeps the directories under the rootDir", async () => {
+			serverless.service.custom.lumigo.nodeUseESModule = true;
+			givenFiles({
+				"src/api.ts": handlerSource,
+				"tsconfig.json": JSON.stringify({
+					compilerOptions: { outDir: "dist", rootDir: "." }
+				})
+			});
+			await lumigo.afterPackageInitialize();
+
+			expect(fs.outputFile).toBeCalledWith(
+				__dirname + "/_lumigo/api.js",
+				expect.toContainAllStrings(
+					"import {handler as originalHandler} from '../dist/src/api.js'"
+				)
+			);
+		});
+
+		test("an outDir without a rootDir fails", async () => {
+			givenFiles({
+				"src/api.ts": handlerSource,
+				"tsconfig.json": JSON.stringify({ compilerOptions: { outDir: "dist" } })
+			});
+
+			await expect(lumigo.afterPackageInitialize()).rejects.toThrow(
+				"serverless-lumigo: The tsconfig.json of the service has an outDir but no rootDir, so where tsc compiles the module [src/api.ts] of function [api] depends on all the sources of the project. Set compilerOptions.rootDir"
+			);
+			expect(fs.outputFile).not.toBeCalledWith(
+				__dirname + "/_lumigo/api.js",
+				expect.anything()
+			);
+		});
+
+		test("a handler outside of the rootDir fails", async () => {
+			givenFiles({
+				"src/api.ts": handlerSource,
+				"tsconfig.json": JSON.stringify({
+					compilerOptions: { outDir: "dist", rootDir: "lib" }
+				})
+			});
+
+			await expect(lumigo.afterPackageInitialize()).rejects.toThrow(
+				"serverless-lumigo: The module [src/api.ts] of function [api] is outside of the rootDir [lib] of tsconfig.json"
+			);
+		});
+
+		test("without an outDir, the handler is required where it is", async () => {
+			givenFiles({
+				"src/api.ts": handlerSource,
+				"tsconfig.json": JSON.stringify({ compilerOptions: { noEmit: true } })
+			});
+			await lumigo.afterPackageInitialize();
+
+			expect(fs.outputFile).toBeCalledWith(
+				__dirname + "/_lumigo/api.js",
+				expect.toContainAllStrings("require('../src/api').handler")
+			);
+		});
+	});
+});
+
+describe("Bundling with serverless-esbuild", () => {
+	beforeEach(() => {
+		serverless.service.plugins = ["serverless-esbuild"];
+		serverless.service.provider.runtime = "nodejs18.x";
+		serverless.service.custom.lumigo.bundleWithEsbuild = true;
+		serverless.service.functions = {
+			api: { handler: "src/api.handler" }
+		};
+		givenFiles({ "src/api.ts": "export const handler = async () => {};" });
+	});
+
+	test("the wrapper is the entry that esbuild bundles, instead of a layer", async () => {
+		await lumigo.afterPackageInitialize();
+		await lumigo.afterCreateDeploymentArtifacts();
+
+		expect(fs.outputFile).toBeCalledWith(
+			__dirname + "/_lumigo/api.js",
+			expect.toContainAllStrings(
+				'const tracer = require("@lumigo/tracer")({',
+				"require('../src/api').handler"
+			)
+		);
+		const func = serverless.service.functions.api;
+		expect(func.handler).toBe("_lumigo/api.handler");
+		expect(func.layers).toBeUndefined();
+		assertTracerInstall();
+	});
+
+	test("the wrappers are left out of the package patterns", async () => {
+		await lumigo.afterPackageInitialize();
+
+		expect(serverless.service.package.patterns).toBeUndefined();
+	});
+
+	test("a tsc outDir is ignored, since esbuild compiles the handler", async () => {
+		givenFiles({
+			"src/api.ts": "export const handler = async () => {};",
+			"tsconfig.json": JSON.stringify({ compilerOptions: { outDir: "dist" } })
+		});
+		await lumigo.afterPackageInitialize();
+
+		expect(fs.outputFile).toBeCalledWith(
+			__dirname + "/_lumigo/api.js",
+			expect.toContainAllStrings("require('../src/api').handler")
+		);
+	});
+
+	test("the functions without bundleWithEsbuild keep the layers", async () => {
+		serverless.service.custom.lumigo.bundleWithEsbuild = false;
+		serverless.service.functions.worker = {
+			handler: "src/api.handler",
+			lumigo: { bundleWithEsbuild: true }
+		};
+		await lumigo.afterPackageInitialize();
+		await lumigo.afterCreateDeploymentArtifacts();
+
+		const { api, worker } = serverless.service.functions;
+		expect(api.handler).not.toBe("_lumigo/api.handler");
+		expect(api.layers).toHaveLength(1);
+		expect(worker.handler).toBe("_lumigo/worker.handler");
+	});
+
+	test("the plan shows the esbuild mode", async () => {
+		const plan = await lumigo.getInstrumentationPlan();
+
+		expect(plan.functions[0]).toMatchObject({
+			mode: "esbuild",
+			newHandler: "_lumigo/api.handler"
+		});
+	});
+
+	test("the tracer can't be excluded", async () => {
+		serverless.service.custom.esbuild = { exclude: ["aws-sdk", "@lumigo/tracer"] };
+
+		await expect(lumigo.afterPackageInitialize()).rejects.toThrow(
+			"serverless-lumigo: @lumigo/tracer is in custom.esbuild.exclude"
+		);
+	});
+
+	test("the functions must be bundled", async () => {
+		serverless.service.custom.esbuild = { bundle: false };
+
+		await expect(lumigo.afterPackageInitialize()).rejects.toThrow(
+			"serverless-lumigo: bundleWithEsbuild requires serverless-esbuild to bundle the functions"
+		);
+	});
+
+	describe("when the tracer is external", () => {
+		beforeEach(() => {
+			serverless.service.custom.esbuild = { external: ["@lumigo/tracer"] };
+		});
+
+		test("it must be a dependency of the service", async () => {
+			fs.pathExistsSync.mockReturnValue(true);
+			fs.readJsonSync.mockReturnValue({
+				devDependencies: { "@lumigo/tracer": "^1" }
+			});
+
+			await expect(lumigo.afterPackageInitialize()).rejects.toThrow(
+				"serverless-lumigo: @lumigo/tracer is in custom.esbuild.external, so serverless-esbuild installs it from the dependencies of package.json"
+			);
+		});
+
+		test("serverless-esbuild installs it from the dependencies", async () => {
+			fs.pathExistsSync.mockReturnValue(true);
+			fs.readJsonSync.mockImplementation(file =>
+				file.includes("node_modules")
+					? { version: "1.2.3" }
+					: { dependencies: { "@lumigo/tracer": "1.2.3" } }
+			);
+			await lumigo.afterPackageInitialize();
+
+			expect(serverless.service.functions.api.handler).toBe("_lumigo/api.handler");
+			expect(childProcess.execSync).not.toBeCalled();
+		});
+	});
+});
+
+describe("Cleaning up the working tree", () => {
+	const stateFilePath = __dirname + "/.serverless/lumigo-state.json";
+
+	beforeEach(() => {
+		serverless.service.provider.runtime = "nodejs14.x";
+		serverless.service.functions = {
+			api: { handler: "api.handler" }
+		};
+	});
+
+	test("the changes are recorded before the functions are wrapped", async () => {
+		await lumigo.afterPackageInitialize();
+
+		expect(fs.outputJson).toBeCalledWith(
+			stateFilePath,
+			{ paths: ["_lumigo"] },
+			{ spaces: 2 }
+		);
+		expect(fs.outputJson.mock.invocationCallOrder[0]).toBeLessThan(
+			fs.outputFile.mock.invocationCallOrder[0]
+		);
+	});
+
+	test("nothing is recorded when no function is wrapped", async () => {
+		serverless.service.custom.lumigo.useLayers = true;
+		await lumigo.afterPackageInitialize();
+
+		expect(fs.outputJson).not.toBeCalled();
+	});
+
+	test("the state file is removed after the deployment artifacts are created", async () => {
+		await lumigo.afterPackageInitialize();
+		await lumigo.afterCreateDeploymentArtifacts();
+
+		expect(fs.remove).toBeCalledWith(__dirname + "/_lumigo");
+		expect(fs.remove).toBeCalledWith(stateFilePath);
+	});
+
+	test("the recorded changes are undone when the process exits early", () => {
+		fs.pathExistsSync.mockImplementation(file => file === stateFilePath);
+		fs.readJsonSync.mockReturnValue({ paths: ["_lumigo"] });
+		lumigo.undoChangesSync();
+
+		expect(fs.readJsonSync).toBeCalledWith(stateFilePath);
+		expect(fs.removeSync).toBeCalledWith(__dirname + "/_lumigo");
+		expect(fs.removeSync).toBeCalledWith(stateFilePath);
+	});
+
+	describe("'serverless lumigo clean'", () => {
+		test("it removes the recorded changes", async () => {
+			fs.pathExistsSync.mockReturnValue(true);
+			fs.readJsonSync.mockReturnValue({ paths: ["_lumigo"] });
+			await lumigo.cleanWorkingTree();
+
+			expect(fs.remove).toBeCalledTimes(2);
+			expect(fs.remove).toBeCalledWith(__dirname + "/_lumigo");
+			expect(fs.remove).toBeCalledWith(stateFilePath);
+			expect(log).toBeCalledWith("serverless-lumigo: removing [_lumigo]...");
+		});
+
+		test("it removes _lumigo even without a state file", async () => {
+			fs.pathExistsSync.mockImplementation(file => file === __dirname + "/_lumigo");
+			await lumigo.cleanWorkingTree();
+
+			expect(fs.readJsonSync).not.toBeCalled();
+			expect(fs.remove).toBeCalledWith(__dirname + "/_lumigo");
+		});
+
+		test("it reports a clean working tree", async () => {
+			await lumigo.cleanWorkingTree();
+
+			expect(fs.remove).not.toBeCalledWith(__dirname + "/_lumigo");
+			expect(log).toBeCalledWith("serverless-lumigo: there is nothing to clean up");
+		});
+	});
+});
+
+describe("Node.js package manager detection", () => {
+	const path = require("path");
+	const workspaceRoot = path.dirname(__dirname);
+
+	const mockFiles = (...files) =>
+		fs.pathExistsSync.mockImplementation(file => files.includes(file));
+
+	beforeEach(() => {
+		serverless.service.provider.runtime = "nodejs14.x";
+		serverless.service.functions = {
+			api: { handler: "api.handler" }
+		};
+	});
+
+	test("it should default to NPM", async () => {
+		await lumigo.afterPackageInitialize();
+
+		assertTracerInstall();
+	});
+
+	test("it should use the package manager of the service's lock file", async () => {
+		mockFiles(__dirname + "/yarn.lock", workspaceRoot + "/package-lock.json");
+		await lumigo.afterPackageInitialize();
+
+		expect(childProcess.execSync).toBeCalledWith(
+			"yarn add @lumigo/tracer@latest",
+			installOptions
+		);
+	});
+
+	test("it should use the package manager of the workspace root's lock file", async () => {
+		mockFiles(workspaceRoot + "/yarn.lock");
+		await lumigo.afterPackageInitialize();
+
+		expect(childProcess.execSync).toBeCalledWith(
+			"yarn add @lumigo/tracer@latest",
+			installOptions
+		);
+	});
+
+	test("it should install outside of a PNPM workspace", async () => {
+		mockFiles(
+			workspaceRoot + "/pnpm-lock.yaml",
+			workspaceRoot + "/pnpm-workspace.yaml"
+		);
+		await lumigo.afterPackageInitialize();
+
+		expect(childProcess.execSync).toBeCalledWith(
+			"pnpm add @lumigo/tracer@latest --ignore-workspace",
+			installOptions
+		);
+	});
+
+	test("nodePackageManager takes precedence", async () => {
+		serverless.service.custom.lumigo.nodePackageManager = "NPM";
+		mockFiles(__dirname + "/pnpm-lock.yaml");
+		await lumigo.afterPackageInitialize();
+
+		assertTracerInstall();
+	});
+
+	test("nodeWorkspacePackage targets another package of the workspace", async () => {
+		serverless.service.custom.lumigo.nodeWorkspacePackage = "../packages/api";
+		const packagePath = workspaceRoot + "/packages/api";
+		mockFiles(
+			packagePath + "/pnpm-lock.yaml",
+			packagePath + "/package.json",
+			packagePath + "/node_modules/@lumigo/tracer/package.json"
+		);
+		fs.readJsonSync.mockImplementation(file =>
+			file === packagePath + "/package.json"
+				? { dependencies: { "@lumigo/tracer": "1.80.1" } }
+				: { version: "1.80.1" }
+		);
+		await lumigo.afterPackageInitialize();
+
+		expect(fs.readJsonSync).toBeCalledWith(packagePath + "/package.json");
+		expect(childProcess.execSync).not.toBeCalled();
+	});
+});
+
+describe("Per-function configuration", () => {
+	beforeEach(() => {
+		serverless.service.provider.runtime = "nodejs14.x";
+		serverless.service.functions = {
+			hello: {
+				handler: "hello.world",
+				events: []
+			},
+			noisy: {
+				handler: "noisy.handler",
+				events: [],
+				lumigo: {
+					step_function: true,
+					edgeHost
+				}
+			}
+		};
+	});
+
+	test("function overrides are merged over custom.lumigo in the wrapped code", async () => {
+		serverless.service.custom.lumigo.step_function = false;
+		await lumigo.afterPackageInitialize();
+
+		expect(fs.outputFile).toBeCalledWith(
+			__dirname + "/_lumigo/hello.js",
+			expect.toContainAllStrings(`token:'${token}'`, "stepFunction:false")
+		);
+		expect(fs.outputFile).toBeCalledWith(
+			__dirname + "/_lumigo/noisy.js",
+			expect.toContainAllStrings(
+				`token:'${token}'`,
+				"stepFunction:true",
+				`edgeHost:'${edgeHost}'`
+			)
+		);
+		expect(fs.outputFile).toBeCalledWith(
+			__dirname + "/_lumigo/hello.js",
+			expect.not.toContainAllStrings(`edgeHost:'${edgeHost}'`)
+		);
+	});
+
+	test("plugin options are not passed to the tracer", async () => {
+		serverless.service.functions.noisy.lumigo.useLayers = false;
+		serverless.service.functions.noisy.lumigo.nodeLayerVersion = 87;
+		await lumigo.afterPackageInitialize();
+
+		expect(fs.outputFile).toBeCalledWith(
+			__dirname + "/_lumigo/noisy.js",
+			expect.not.toContainAllStrings("useLayers")
+		);
+		expect(fs.outputFile).toBeCalledWith(
+			__dirname + "/_lumigo/noisy.js",
+			expect.not.toContainAllStrings("nodeLayerVersion")
+		);
+	});
+
+	test("a function can use layers while the rest of the service is wrapped", async () => {
+		serverless.service.functions.noisy.lumigo.useLayers = true;
+		serverless.service.functions.noisy.lumigo.nodeLayerVersion = 87;
+
+		await lumigo.afterPackageInitialize();
+		expect(fs.outputFile).toBeCalledTimes(1);
+		expect(serverless.service.functions.hello.handler).toBe("_lumigo/hello.world");
+		expect(serverless.service.functions.noisy.handler).toBe("noisy.handler");
+
+		await lumigo.afterCreateDeploymentArtifacts();
+		const noisy = serverless.service.functions.noisy;
+		expect(noisy.handler).toBe("lumigo-auto-instrument.handler");
+		expect(noisy.layers).toEqual([
+			"arn:aws:lambda:us-east-1:114300393969:layer:lumigo-node-tracer:87"
+		]);
+		expect(serverless.service.functions.hello.layers).toBeUndefined();
+		expect(fs.remove).toBeCalledWith(__dirname + "/_lumigo");
+	});
+
+	test("a function can override the token", async () => {
+		delete serverless.service.custom.lumigo.token;
+		serverless.service.functions = {
+			noisy: {
+				handler: "noisy.handler",
+				lumigo: { token: "function-token" }
+			}
+		};
+		await lumigo.afterPackageInitialize();
+
+		expect(fs.outputFile).toBeCalledWith(
+			__dirname + "/_lumigo/noisy.js",
+			expect.toContainAllStrings("token:'function-token'")
+		);
+	});
+
+	test("a function without any token fails", async () => {
+		delete serverless.service.custom.lumigo.token;
+		serverless.service.functions.noisy.lumigo.token = "function-token";
+		await expect(lumigo.afterPackageInitialize()).rejects.toThrow(
+			"Unable to find token"
+		);
+	});
+});
+
+describe("Lumigo plugin (mixed runtimes)", () => {
+	beforeEach(() => {
+		serverless.service.provider.runtime = "java8";
+		serverless.service.functions = {
+			api: {
+				handler: "api.handler",
+				runtime: "nodejs14.x",
+				events: []
+			},
+			job: {
+				handler: "jobs/job.handler",
+				runtime: "python3.10",
+				events: []
+			},
+			legacy: {
+				handler: "com.example.Handler",
+				events: []
+			}
+		};
+		fs.pathExistsSync.mockImplementation(file => file.endsWith("requirements.txt"));
+		fs.readFile.mockReturnValue("lumigo_tracer");
+	});
+
+	test("it should wrap each function according to its own runtime", async () => {
+		await lumigo.afterPackageInitialize();
+
+		assertTracerInstall();
+		expect(fs.outputFile).toBeCalledTimes(2);
+		assertFileOutputCJS({
+			filename: "api.js",
+			requireHandler: "require('../api').handler"
+		});
+		expect(fs.outputFile).toBeCalledWith(
+			__dirname + "/_lumigo/job.py",
+			expect.toContainAllStrings(
+				"from lumigo_tracer import lumigo_tracer",
+				getPythonImportLine("jobs.job", "handler")
+			)
+		);
+
+		const functions = serverless.service.functions;
+		expect(functions.api.handler).toBe("_lumigo/api.handler");
+		expect(functions.job.handler).toBe("_lumigo/job.handler");
+		expect(functions.legacy.handler).toBe("com.example.Handler");
+	});
+
+	test("it should clean up the Node.js tracer after deployment artifact is created", async () => {
+		await lumigo.afterCreateDeploymentArtifacts();
+		assertNodejsFunctionsAreCleanedUp();
+	});
+
+	test("it should add the matching layer to each function", async () => {
+		serverless.service.custom.lumigo.useLayers = true;
+		serverless.service.custom.lumigo.nodeLayerVersion = 87;
+		serverless.service.custom.lumigo.pythonLayerVersion = 42;
+
+		await lumigo.afterCreateDeploymentArtifacts();
+
+		const functions = serverless.service.functions;
+		expect(functions.api.handler).toBe("lumigo-auto-instrument.handler");
+		expect(functions.api.layers).toEqual([
+			"arn:aws:lambda:us-east-1:114300393969:layer:lumigo-node-tracer:87"
+		]);
+		expect(functions.job.handler).toBe("/opt/python/lumigo_tracer._handler");
+		expect(functions.job.layers).toEqual([
+			"arn:aws:lambda:us-east-1:114300393969:layer:lumigo-python-tracer:42"
+		]);
+		expect(functions.legacy.handler).toBe("com.example.Handler");
+		expect(functions.legacy.layers).toBeUndefined();
+	});
+});
+
 describe("is not nodejs or python", () => {
 	beforeEach(() => {
 		serverless.service.provider.runtime = "java8";
@@ -880,7 +3531,7 @@ function assertFileOutputES({ filename, importStatement, exportStatement }) {
 function assertTracerInstall() {
 	expect(childProcess.execSync).toBeCalledWith(
 		"npm install @lumigo/tracer@latest",
-		"utf8"
+		installOptions
 	);
 }
 
@@ -1100,7 +3751,7 @@ function assertFunctionsAreNotWrapped() {
 
 function assertNodejsFunctionsAreCleanedUp() {
 	expect(fs.remove).toBeCalledWith(__dirname + "/_lumigo");
-	expect(childProcess.execSync).toBeCalledWith("npm uninstall @lumigo/tracer", "utf8");
+	expect(childProcess.execSync).not.toBeCalled();
 }
 
 function assertPythonFunctionsAreCleanedUp() {
@@ -1113,5 +3764,5 @@ function assertNothingHappens() {
 }
 
 function assertLumigoIsIncluded() {
-	expect(serverless.service.package.include).toContain("_lumigo/*");
+	expect(serverless.service.package.patterns).toContain("_lumigo/**");
 }
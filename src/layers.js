@@ -0,0 +1,47 @@
+const nodeLayerVersionsUrl =
+	"https://raw.githubusercontent.com/lumigo-io/lumigo-node/master/layers/LAYERS12x.md";
+const pythonLayerVersionsUrl =
+	"https://raw.githubusercontent.com/lumigo-io/python_tracer/master/layers/LAYERS37.md";
+
+const LumigoAccountId = "114300393969";
+
+// the published tracer layers of each runtime family
+const LayerSources = {
+	nodejs: {
+		layerName: "lumigo-node-tracer",
+		url: nodeLayerVersionsUrl,
+		minimumRuntimeVersion: [12],
+		architectures: ["x86_64", "arm64"]
+	},
+	python: {
+		layerName: "lumigo-python-tracer",
+		url: pythonLayerVersionsUrl,
+		minimumRuntimeVersion: [3, 7],
+		architectures: ["x86_64", "arm64"]
+	}
+};
+
+// e.g. | us-east-1 | arn:aws:lambda:us-east-1:114300393969:layer:lumigo-node-tracer:231 |
+// -> { "us-east-1": "arn:aws:lambda:us-east-1:114300393969:layer:lumigo-node-tracer:231" }
+const parseLayerArns = (markdown, layerName) => {
+	const layerArns = {};
+	if (typeof markdown !== "string") {
+		return layerArns;
+	}
+
+	const pattern = `arn:aws:lambda:([a-z0-9-]+):${LumigoAccountId}:layer:${layerName}:\\d+`;
+	const regex = new RegExp(pattern, "gm");
+	let matches;
+	while ((matches = regex.exec(markdown)) !== null) {
+		const [arn, region] = matches;
+		// the first ARN listed for a region is its latest version
+		layerArns[region] = layerArns[region] || arn;
+	}
+	return layerArns;
+};
+
+module.exports = {
+	LumigoAccountId,
+	LayerSources,
+	parseLayerArns
+};
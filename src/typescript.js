@@ -0,0 +1,32 @@
+const path = require("path");
+
+// tsconfig.json is JSON with comments and trailing commas, which are removed
+// outside of the strings
+const parseTsconfig = text => {
+	const json = text.replace(
+		/("(?:\\.|[^"\\])*")|\/\/[^\n]*|\/\*[\s\S]*?\*\/|,(?=\s*[}\]])/g,
+		(match, string) => string || ""
+	);
+	return JSON.parse(json);
+};
+
+// where tsc writes the module of a TypeScript source, without its extension,
+// or null if the source is not under the rootDir, e.g.
+// src/api.ts, { outDir: "dist", rootDir: "src" } -> dist/api
+// without a rootDir, tsc uses the common directory of all the sources of the
+// project, not only the handlers, so the rootDir must be set
+const getCompiledModulePath = (sourceFile, compilerOptions) => {
+	const relativePath = path.posix.relative(
+		path.posix.normalize(compilerOptions.rootDir),
+		sourceFile.replace(/\.[cm]?ts$/, "")
+	);
+	if (relativePath.startsWith("..")) {
+		return null;
+	}
+	return path.posix.join(compilerOptions.outDir, relativePath);
+};
+
+module.exports = {
+	parseTsconfig,
+	getCompiledModulePath
+};